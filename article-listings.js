@@ -0,0 +1,137 @@
+// ===================================
+// ARTICLE LISTINGS
+// ===================================
+// Article cards for the homepage and articles.html, built from articles-data.js
+// so an article added there shows up everywhere without editing any HTML.
+
+import { getAllArticleIds, getArticle } from './articles-data.js';
+import { highlightSegments } from './article-search.js';
+
+// '2025-11-16' -> "November 16, 2025"; '2025-10' -> "October 2025"
+export function formatArticleDate(date) {
+  const [year, month, day] = String(date || '').split('-').map(Number);
+  if (!year || !month) return String(date || '');
+
+  return new Date(Date.UTC(year, month - 1, day || 1)).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: day ? 'numeric' : undefined,
+    timeZone: 'UTC'
+  });
+}
+
+// Every article as { id, ...article }, newest first. ISO dates sort as text,
+// and a month-only date counts as older than any day in that month.
+export function listArticles({ featuredOnly = false } = {}) {
+  return getAllArticleIds()
+    .map(id => ({ id, ...getArticle(id) }))
+    .filter(article => !featuredOnly || article.featured)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)) || a.title.localeCompare(b.title));
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELATED_WEIGHTS = { category: 3, tag: 2, recency: 1 };
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+const articleTime = article => Date.parse(String(article.date).length === 7 ? `${article.date}-01` : article.date) || 0;
+
+// Other articles worth reading after `id`: a shared category and shared tags
+// count most, and newer articles get a bonus that halves every three months.
+export function relatedArticles(id, limit = 3) {
+  const current = getArticle(id);
+  if (!current) return [];
+
+  const tags = new Set((current.tags || []).map(tag => tag.toLowerCase()));
+  const others = listArticles().filter(article => article.id !== id);
+  const newest = Math.max(...others.map(articleTime));
+
+  return others
+    .map(article => {
+      const sharedTags = (article.tags || []).filter(tag => tags.has(tag.toLowerCase())).length;
+      const ageDays = (newest - articleTime(article)) / DAY_MS;
+      const score = (article.category === current.category ? RELATED_WEIGHTS.category : 0)
+        + sharedTags * RELATED_WEIGHTS.tag
+        + RELATED_WEIGHTS.recency * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+      return { article, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ article }) => article);
+}
+
+// The diaspora map filtered to an article location: the country facet, plus
+// a search for the city (see story-filters.js for the query keys)
+export function mapLink({ city, country }) {
+  const params = new URLSearchParams({ country });
+  if (city) params.set('q', city);
+  return `index.html?${params}`;
+}
+
+// Interviews and research get their own tag colours on articles.html
+function tagVariant(category) {
+  if (/interview/i.test(category)) return 'interview-tag';
+  if (/research|review/i.test(category)) return 'review-tag';
+  return '';
+}
+
+// Fill an element with text, wrapping search matches in <mark>
+export function appendHighlighted(element, text, words = []) {
+  highlightSegments(text, words).forEach(segment => {
+    if (segment.match) {
+      const mark = document.createElement('mark');
+      mark.textContent = segment.text;
+      element.appendChild(mark);
+    } else {
+      element.append(segment.text);
+    }
+  });
+}
+
+// One linked card; `className` is the page's card class. Search results pass
+// the words to highlight and an excerpt of the body that matched.
+export function createArticleCard(article, className, { words = [], excerpt = '', showTags = false } = {}) {
+  const card = document.createElement('a');
+  card.className = className;
+  card.href = `article.html?id=${encodeURIComponent(article.id)}`;
+
+  const tag = document.createElement('span');
+  tag.className = ['article-tag', tagVariant(article.category)].filter(Boolean).join(' ');
+  tag.textContent = article.category;
+
+  const title = document.createElement('h3');
+  appendHighlighted(title, article.title, words);
+
+  const meta = document.createElement('p');
+  meta.className = 'article-meta';
+  const published = document.createElement('time');
+  published.dateTime = article.date;
+  published.textContent = formatArticleDate(article.date);
+  meta.append(`By ${article.author} · `, published);
+
+  card.append(tag, title, meta);
+
+  if (excerpt) {
+    const snippet = document.createElement('span');
+    snippet.className = 'article-excerpt';
+    appendHighlighted(snippet, excerpt, words);
+    card.appendChild(snippet);
+  }
+
+  if (showTags && article.tags && article.tags.length > 0) {
+    const tags = document.createElement('span');
+    tags.className = 'article-card-tags';
+    tags.textContent = article.tags.map(name => `#${name}`).join(' ');
+    card.appendChild(tags);
+  }
+
+  return card;
+}
+
+// Fill a listing container; returns how many cards were added
+export function renderArticleList(container, { featuredOnly = false, cardClass = 'article-card' } = {}) {
+  if (!container) return 0;
+
+  const articles = listArticles({ featuredOnly });
+  container.replaceChildren(...articles.map(article => createArticleCard(article, cardClass)));
+  return articles.length;
+}
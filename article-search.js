@@ -0,0 +1,146 @@
+// ===================================
+// ARTICLE SEARCH
+// ===================================
+// Client-side full-text search over the articles in articles-data.js (titles,
+// subtitles and bodies) plus the category and tag filters of articles.html.
+// The filter state lives in the URL query, so a filtered list can be shared.
+
+import { readQueryState } from './url-state.js';
+
+// A title match says more about an article than a passing mention in its body
+const FIELD_WEIGHTS = { title: 5, subtitle: 2, body: 1 };
+const EXCERPT_RADIUS = 80;
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#96;': '`' };
+
+// Article body HTML -> plain text for searching and excerpts
+export function articleText(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(?:amp|lt|gt|quot|#39|#96);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Lowercased, de-duplicated search words
+export function searchWords(query) {
+  return [...new Set(String(query || '').toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+// One entry per article with the text it can be found by. `articles` are
+// { id, ...article } objects as returned by listArticles().
+export function buildSearchIndex(articles) {
+  return articles.map(article => {
+    const text = {
+      title: article.title,
+      subtitle: article.subtitle,
+      body: articleText(article.content)
+    };
+    const lowered = Object.fromEntries(Object.entries(text).map(([field, value]) => [field, value.toLowerCase()]));
+
+    return { article, text, lowered };
+  });
+}
+
+// Relevance of one indexed article: 0 unless every word appears somewhere
+function scoreEntry(entry, words) {
+  let score = 0;
+
+  for (const word of words) {
+    let found = false;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      if (entry.lowered[field].includes(word)) {
+        score += weight;
+        found = true;
+      }
+    });
+    if (!found) return 0;
+  }
+
+  return score;
+}
+
+export function emptyArticleFilters() {
+  return { category: '', tag: '', q: '' };
+}
+
+export function readArticleFilters(search = window.location.search) {
+  return readQueryState(emptyArticleFilters(), search);
+}
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Entries passing the category and tag filters and containing every search
+// word. With a search they're ranked by relevance, otherwise kept in order.
+export function filterArticles(index, state) {
+  const words = searchWords(state.q);
+
+  const matches = index
+    .filter(({ article }) => !state.category || sameText(article.category, state.category))
+    .filter(({ article }) => !state.tag || (article.tags || []).some(tag => sameText(tag, state.tag)))
+    .map(entry => ({ entry, score: words.length ? scoreEntry(entry, words) : 1 }))
+    .filter(({ score }) => score > 0);
+
+  if (words.length) {
+    matches.sort((a, b) => b.score - a.score);
+  }
+
+  return matches.map(({ entry }) => entry);
+}
+
+// Distinct values with counts, most common first (categories, tags)
+export function articleFacet(articles, values) {
+  const counts = new Map();
+
+  articles.forEach(article => {
+    values(article).forEach(value => {
+      const key = value.toLowerCase();
+      const facet = counts.get(key) || { value, count: 0 };
+      facet.count++;
+      counts.set(key, facet);
+    });
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Split text into plain and matching runs for highlighting
+export function highlightSegments(text, words) {
+  const source = String(text || '');
+  const lowered = source.toLowerCase();
+  const ranges = [];
+
+  words.forEach(word => {
+    for (let at = lowered.indexOf(word); at !== -1; at = lowered.indexOf(word, at + word.length)) {
+      ranges.push([at, at + word.length]);
+    }
+  });
+
+  // Overlapping matches ("abroad", "road") merge into one run
+  ranges.sort((a, b) => a[0] - b[0]);
+  const segments = [];
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (end <= position) return;
+    if (start > position) segments.push({ text: source.slice(position, start), match: false });
+    segments.push({ text: source.slice(Math.max(start, position), end), match: true });
+    position = end;
+  });
+
+  if (position < source.length) segments.push({ text: source.slice(position), match: false });
+  return segments;
+}
+
+// A stretch of the body around the first search word it contains, or ''
+export function matchExcerpt(entry, words) {
+  const positions = words.map(word => entry.lowered.body.indexOf(word)).filter(at => at !== -1);
+  if (positions.length === 0) return '';
+
+  const first = Math.min(...positions);
+  const start = first > EXCERPT_RADIUS ? entry.text.body.lastIndexOf(' ', first - EXCERPT_RADIUS) + 1 : 0;
+  const cut = entry.text.body.indexOf(' ', first + EXCERPT_RADIUS);
+  const end = cut === -1 ? entry.text.body.length : cut;
+
+  return `${start > 0 ? '…' : ''}${entry.text.body.slice(start, end)}${end < entry.text.body.length ? '…' : ''}`;
+}
@@ -1,385 +1,218 @@
-// All article content in one place
+// ===================================
+// ARTICLE DATA (GENERATED)
+// ===================================
+// Built from articles/*.md and authors/*.md by scripts/build-articles.mjs.
+// Edit the Markdown and rebuild; changes made here are overwritten. The
+// homepage, articles.html, article.html and author.html all read from this
+// file (see article-listings.js and author-profiles.js).
+//
+// authors: IDs in authorsData, in byline order; author is the byline itself
+// date: ISO publish date, 'YYYY-MM-DD' or 'YYYY-MM' when only the month is known
+// featured: also listed in the ARTICLES section of the homepage
+// pdf: the full paper, offered as a download on the article page
+// locations: places the article is about, linked to the diaspora map
 const articlesData = {
-  'migration': {
-    category: 'MIGRATION STORIES',
-    title: 'About "Migration": More Than Just Moving Countries',
-    subtitle: 'An exploration of what it truly means to leave home, build a new life abroad, and carry your roots with you wherever you go.',
-    author: 'Danelya',
-    authorInitial: 'D',
-    date: 'November 16, 2025',
-    readTime: '7 min read',
-    image: 'https://images.unsplash.com/photo-1488646953014-85cb44e25828?w=1200&h=600&fit=crop',
-    content: `
-      <p>Migration is not simply the act of moving from one geographical location to another. It's a profound transformation that reshapes your identity, challenges your understanding of home, and forces you to reconcile who you were with who you're becoming.</p>
-
-      <p>When I first left Kazakhstan to study abroad, I thought migration meant adventure, new opportunities, and freedom. I imagined myself as a cosmopolitan citizen of the world, unbound by borders and traditions. What I didn't anticipate was the quiet ache of displacement, the subtle ways in which leaving home would fundamentally alter my sense of self.</p>
-
-      <h2>The Weight of Distance</h2>
-
-      <p>There's a particular loneliness that comes with migration that no one prepares you for. It's not the dramatic, tear-stained loneliness of farewell scenes at airports. It's quieter, more persistent. It emerges in small moments: when you can't find the right words to explain a childhood memory, when holidays pass without the familiar rhythms of home, when you realize you're experiencing milestones your family will only hear about through phone screens.</p>
-
-      <blockquote>"Home is not a place, but a feeling of belonging that you carry within you—even when you're thousands of miles away from the land that raised you."</blockquote>
-
-      <p>Distance changes relationships in unexpected ways. Conversations with family become carefully scheduled events, timezone calculations become second nature, and you learn to compress months of experiences into brief video calls. You develop a parallel life that exists primarily in stories you'll tell when—if—you return.</p>
-
-      <h2>Between Two Worlds</h2>
-
-      <p>One of the most disorienting aspects of migration is the feeling of existing between worlds. You're no longer fully at home in your country of origin, but you'll never be completely native to your adopted land either. You become a cultural translator, constantly switching codes, explaining contexts, bridging gaps that others don't even notice exist.</p>
-
-      <p>Your identity becomes hyphenated, complex, difficult to summarize in simple terms. You're Kazakh, but also international. You're from there, but also from here. You belong everywhere and nowhere simultaneously. This liminal space can feel isolating, but it's also where some of the most interesting personal growth happens.</p>
-
-      <h3>The Evolution of Home</h3>
-
-      <p>Over time, I've come to understand that migration isn't about choosing between homes—it's about expanding your definition of home. Home becomes less about a fixed location and more about a constellation of people, memories, languages, and experiences that you carry with you.</p>
-
-      <blockquote>"Perhaps not belonging anywhere means you have the freedom to belong everywhere, to create home wherever you are rather than waiting to find it."</blockquote>
-
-      <h2>Redefining Success</h2>
-
-      <p>For many Kazakh students and professionals abroad, there's immense pressure to justify migration through conventional success metrics: prestigious degrees, high-paying jobs, impressive LinkedIn profiles. But I've learned that migration's true value often lies in subtler transformations.</p>
-
-      <p>Success might mean learning to be comfortable with discomfort. It might mean developing resilience you didn't know you needed. It might mean discovering aspects of yourself that would have remained dormant if you'd never left home.</p>
-
-      <p>Migration is messy, complicated, and often difficult. But it's also enriching, transformative, and deeply human. To every Kazakh student or professional reading this from abroad: your experience is valid, your struggles are real, and your hybrid identity is not a weakness but a strength.</p>
-    `
+  "almaty-new-york": {
+    "category": "STUDENT STORY",
+    "title": "From Almaty to New York: Finding Home Abroad",
+    "subtitle": "Moving to the US was both terrifying and exciting. The hardest part wasn't the language—it was missing the smell of baursak in the morning and learning to build a new kind of home.",
+    "authors": [
+      "aidar-k"
+    ],
+    "author": "Aidar K.",
+    "date": "2025-12-10",
+    "readTime": "2 min read",
+    "image": "https://images.unsplash.com/photo-1496442226666-8d4d0e62e6e9?w=1200&h=600&fit=crop",
+    "tags": [
+      "united states",
+      "student life",
+      "homesickness"
+    ],
+    "locations": [
+      {
+        "city": "New York",
+        "country": "United States"
+      }
+    ],
+    "content": "<p>The first morning I woke up in New York City, I reached instinctively for my phone to call my mom. Then I remembered: it was 2 AM in Almaty. This simple arithmetic—adding or subtracting hours, calculating when it was appropriate to miss someone—became the rhythm of my new life.</p>\n\n<p>I arrived in August 2022 with two suitcases, a scholarship letter, and the kind of naive confidence that comes from never having truly been alone. I was 18 years old and convinced that adapting to New York would be my greatest adventure. I wasn&#39;t wrong, but I also had no idea what &quot;adapting&quot; would actually require.</p>\n\n<h2>The Language Paradox</h2>\n\n<p>Everyone warned me about the language barrier. I&#39;d studied English since childhood, aced my TOEFL, and felt prepared for academic discussions. What I wasn&#39;t prepared for was the loneliness of understanding every word while missing every subtext.</p>\n\n<blockquote>&quot;Fluency isn&#39;t just vocabulary. It&#39;s knowing which silence is comfortable and which is awkward, which joke will land and which will require too much explanation.&quot;</blockquote>\n\n<h2>The Small Things You Don&#39;t Expect to Miss</h2>\n\n<p>Before I left, people asked what I&#39;d miss most about Kazakhstan. I gave predictable answers: my family, my friends, the mountains. All true, but incomplete.</p>\n\n<p>What actually broke my heart in unexpected moments: the smell of baursak frying on Saturday mornings. The specific way my grandmother said my name. Hearing Kazakh or Russian spoken casually on the street. Markets where vendors spoke to you like family.</p>\n\n<p>I missed beshbarmak so intensely that I tried making it in my dorm&#39;s shared kitchen. It tasted wrong with American ingredients, and I cried over a pot of incorrectly spiced meat like it was a profound personal failure.</p>\n\n<h2>Building Community from Scratch</h2>\n\n<p>New York has eight million people, but I&#39;d never felt so alone. In Almaty, I had friends I&#39;d known since childhood, family dinners every weekend, a built-in social structure. Here, I had to construct community from nothing.</p>\n\n<p>I found other international students first—not because we had much in common beyond displacement, but because they understood the particular exhaustion of always performing cultural translation.</p>\n\n<blockquote>&quot;Homesickness doesn&#39;t go away. You just get better at carrying it.&quot;</blockquote>\n\n<h2>Redefining Home</h2>\n\n<p>Three years in, I still don&#39;t have a simple answer to &quot;where is home?&quot; Almaty is home—it&#39;s where my family lives, where my childhood memories are rooted, where I feel most fundamentally myself. But New York is also becoming home—it&#39;s where I&#39;ve grown up, built community, created a life.</p>\n\n<p>I&#39;ve stopped trying to choose. I&#39;m learning to hold both truths simultaneously: I can miss Almaty desperately while also loving my life in New York. I can be homesick for Kazakhstan while being grateful for opportunities I have here. I can be Kazakh and global, rooted and displaced, belonging to multiple places at once.</p>\n\n<p>Home is portable, multiple, flexible. It&#39;s something I create rather than something I find. And maybe that&#39;s exactly what I needed to learn.</p>"
   },
-
-  'study-abroad': {
-    category: 'EDUCATION ESSAY',
-    title: 'Is It Really Worth Studying Abroad?',
-    subtitle: 'An honest reflection on the promises, realities, and hidden costs of international education—beyond the glossy brochures and Instagram photos.',
-    author: 'Maria',
-    authorInitial: 'M',
-    date: 'November 17, 2025',
-    readTime: '9 min read',
-    image: 'https://images.unsplash.com/photo-1498243691581-b145c3f54a5a?w=1200&h=600&fit=crop',
-    content: `
-      <p>Every year, thousands of Kazakh students apply to universities abroad, dreaming of world-class education, global networks, and transformative experiences. We're told that studying abroad is an investment in our future, a ticket to better opportunities, a chance to "find ourselves" in foreign lands. But is it really worth it?</p>
-
-      <p>I'm writing this from my apartment in London, three years into a degree that has cost more than my parents' combined salaries for a decade. I've gained things I never could have imagined—and lost things I didn't know I valued. This isn't a story with a simple yes or no answer. It's more complicated than that.</p>
-
-      <h2>The Dream vs. The Reality</h2>
-
-      <p>The promotional materials for international universities sell a specific vision: diverse classrooms, intellectual debates with brilliant peers, professors who are leaders in their fields, career opportunities that will change your life trajectory. And to be fair, some of this is true.</p>
-
-      <p>What they don't show you is the 3 AM anxiety attacks when you're wondering if this degree will actually be worth the debt. The isolation of being the only person in your cohort who has to explain where Kazakhstan is on a map. The exhaustion of code-switching between languages, cultures, and identities multiple times a day.</p>
-
-      <blockquote>"Education abroad promises transformation, and it delivers—but not always the kind of transformation you expected or wanted."</blockquote>
-
-      <h2>The Financial Reality Check</h2>
-
-      <p>Let's talk about money, because nobody wants to. International tuition fees are astronomical. Even with scholarships, the cost of living in major cities can drain your savings faster than you ever anticipated. You calculate exchange rates in your head constantly. You skip social events because you can't afford another restaurant meal.</p>
-
-      <p>The financial burden isn't just about numbers in a bank account. It's psychological weight. It's the pressure to make every moment "count," to justify the investment, to succeed spectacularly enough that the sacrifice feels worth it.</p>
-
-      <h2>What You Actually Learn</h2>
-
-      <p>Here's the thing though: I have learned an incredible amount. Not all of it came from classrooms, and much of it wasn't in the course catalog.</p>
-
-      <p>I learned resilience. How to navigate bureaucratic systems in a second language. How to build community from scratch in a place where you know no one. How to advocate for yourself when professors mispronounce your name or make assumptions about your background.</p>
-
-      <blockquote>"The most valuable education abroad isn't what you learn in lectures—it's what you learn about yourself when everything familiar is stripped away."</blockquote>
-
-      <h2>So... Is It Worth It?</h2>
-
-      <p>For me, personally, yes. But that answer comes with qualifications, caveats, and acknowledgment of privilege. I had family support, scholarships, and circumstances that made this path possible. Not everyone does.</p>
-
-      <p>Studying abroad has been one of the most challenging and rewarding experiences of my life. It's made me more independent, more aware, more capable. But it's also been lonely, expensive, and sometimes unbearably hard.</p>
-
-      <p>The real question isn't whether studying abroad is worth it in general—it's whether it's worth it for you, given your specific goals, resources, and circumstances.</p>
-    `
+  "belonging": {
+    "category": "PERSONAL STORY",
+    "title": "How It Feels to Not Belong Anywhere",
+    "subtitle": "A meditation on third culture identity, perpetual foreignness, and finding peace in the space between worlds.",
+    "authors": [
+      "sena"
+    ],
+    "author": "Sena",
+    "date": "2025-11-16",
+    "readTime": "3 min read",
+    "image": "https://images.unsplash.com/photo-1469854523086-cc02fe5d8800?w=1200&h=600&fit=crop",
+    "tags": [
+      "identity",
+      "belonging",
+      "third culture"
+    ],
+    "featured": true,
+    "content": "<p>There&#39;s a particular kind of loneliness that comes from being too foreign everywhere you go. In Kazakhstan, people ask why my Russian has an accent. In Europe, I&#39;m perpetually explaining where my country is on a map. I exist in the hyphen between cultures, in the pause between languages, in the uncertain space where &quot;home&quot; becomes a question rather than an answer.</p>\n\n<p>I used to think this feeling was temporary—that eventually, I would settle into one identity, one place, one clear sense of belonging. I&#39;m beginning to realize that for people like me, belonging isn&#39;t a destination. It&#39;s something else entirely.</p>\n\n<h2>The Geography of Identity</h2>\n\n<p>I was born in Almaty but left when I was eight. I grew up between three countries, attending international schools where everyone was from somewhere else. My friends were Korean-Americans born in Singapore, Turkish kids who&#39;d lived in six countries, British children who&#39;d never actually lived in Britain.</p>\n\n<p>We were third culture kids—formed not by one national culture but by the experience of moving between them. Our shared culture was transition itself, adaptation itself, the particular skills required to be perpetually new.</p>\n\n<blockquote>&quot;Home wasn&#39;t a place on a map. It was the feeling of being understood without having to explain yourself first.&quot;</blockquote>\n\n<h2>Neither Here Nor There</h2>\n\n<p>When I visit Kazakhstan, I&#39;m treated as slightly foreign. My cousins make gentle fun of my accent. I miss cultural references everyone else my age grew up with. I have to Google Kazakh political figures. I don&#39;t instinctively understand certain social codes.</p>\n\n<p>But abroad, I&#39;ll always be the Kazakh girl. No matter how many years I live elsewhere, no matter how fluent I become in other languages, my face marks me as Other. People make assumptions about my background, my education, my experiences—assumptions that are sometimes flattering, often inaccurate, always reductive.</p>\n\n<h2>Making Peace with In-Between</h2>\n\n<p>I&#39;m slowly learning to stop seeing my in-between-ness as a problem to be solved. For years, I thought I needed to choose—to commit fully to being Kazakh or to assimilate completely into wherever I was living. To pick a side, plant roots, stay still long enough to finally belong.</p>\n\n<p>But that&#39;s not who I am. I&#39;m not meant to fit neatly into one national category. My identity is genuinely hybrid, formed by movement and multiplicity. That&#39;s not a failure of belonging—it&#39;s a different kind of belonging.</p>\n\n<blockquote>&quot;You don&#39;t have to choose between worlds. You can build bridges between them and walk back and forth freely.&quot;</blockquote>\n\n<h2>To Others Living Between</h2>\n\n<p>If you&#39;re reading this and recognizing yourself in these words, I want you to know: your complicated identity is valid. You don&#39;t have to choose. You don&#39;t have to simplify yourself to make others comfortable. You don&#39;t have to fit neatly into checkboxes that weren&#39;t designed for people like us.</p>\n\n<p>The discomfort of not quite belonging anywhere is real, and it&#39;s okay to grieve for the simple rootedness you might never have. But there&#39;s also beauty in your multiplicity, strength in your ability to navigate between worlds, wisdom in your expanded perspective.</p>\n\n<p>You are not lost. You are not broken. You are not failing at identity. You&#39;re just complex in ways that simple categories can&#39;t capture. And maybe that&#39;s exactly as it should be.</p>"
   },
-
-  'belonging': {
-    category: 'PERSONAL STORY',
-    title: 'How It Feels to Not Belong Anywhere',
-    subtitle: 'A meditation on third culture identity, perpetual foreignness, and finding peace in the space between worlds.',
-    author: 'Sena',
-    authorInitial: 'S',
-    date: 'November 16, 2025',
-    readTime: '6 min read',
-    image: 'https://images.unsplash.com/photo-1469854523086-cc02fe5d8800?w=1200&h=600&fit=crop',
-    content: `
-      <p>There's a particular kind of loneliness that comes from being too foreign everywhere you go. In Kazakhstan, people ask why my Russian has an accent. In Europe, I'm perpetually explaining where my country is on a map. I exist in the hyphen between cultures, in the pause between languages, in the uncertain space where "home" becomes a question rather than an answer.</p>
-
-      <p>I used to think this feeling was temporary—that eventually, I would settle into one identity, one place, one clear sense of belonging. I'm beginning to realize that for people like me, belonging isn't a destination. It's something else entirely.</p>
-
-      <h2>The Geography of Identity</h2>
-
-      <p>I was born in Almaty but left when I was eight. I grew up between three countries, attending international schools where everyone was from somewhere else. My friends were Korean-Americans born in Singapore, Turkish kids who'd lived in six countries, British children who'd never actually lived in Britain.</p>
-
-      <p>We were third culture kids—formed not by one national culture but by the experience of moving between them. Our shared culture was transition itself, adaptation itself, the particular skills required to be perpetually new.</p>
-
-      <blockquote>"Home wasn't a place on a map. It was the feeling of being understood without having to explain yourself first."</blockquote>
-
-      <h2>Neither Here Nor There</h2>
-
-      <p>When I visit Kazakhstan, I'm treated as slightly foreign. My cousins make gentle fun of my accent. I miss cultural references everyone else my age grew up with. I have to Google Kazakh political figures. I don't instinctively understand certain social codes.</p>
-
-      <p>But abroad, I'll always be the Kazakh girl. No matter how many years I live elsewhere, no matter how fluent I become in other languages, my face marks me as Other. People make assumptions about my background, my education, my experiences—assumptions that are sometimes flattering, often inaccurate, always reductive.</p>
-
-      <h2>Making Peace with In-Between</h2>
-
-      <p>I'm slowly learning to stop seeing my in-between-ness as a problem to be solved. For years, I thought I needed to choose—to commit fully to being Kazakh or to assimilate completely into wherever I was living. To pick a side, plant roots, stay still long enough to finally belong.</p>
-
-      <p>But that's not who I am. I'm not meant to fit neatly into one national category. My identity is genuinely hybrid, formed by movement and multiplicity. That's not a failure of belonging—it's a different kind of belonging.</p>
-
-      <blockquote>"You don't have to choose between worlds. You can build bridges between them and walk back and forth freely."</blockquote>
-
-      <h2>To Others Living Between</h2>
-
-      <p>If you're reading this and recognizing yourself in these words, I want you to know: your complicated identity is valid. You don't have to choose. You don't have to simplify yourself to make others comfortable. You don't have to fit neatly into checkboxes that weren't designed for people like us.</p>
-
-      <p>The discomfort of not quite belonging anywhere is real, and it's okay to grieve for the simple rootedness you might never have. But there's also beauty in your multiplicity, strength in your ability to navigate between worlds, wisdom in your expanded perspective.</p>
-
-      <p>You are not lost. You are not broken. You are not failing at identity. You're just complex in ways that simple categories can't capture. And maybe that's exactly as it should be.</p>
-    `
+  "migration": {
+    "category": "MIGRATION STORIES",
+    "title": "About \"Migration\": More Than Just Moving Countries",
+    "subtitle": "An exploration of what it truly means to leave home, build a new life abroad, and carry your roots with you wherever you go.",
+    "authors": [
+      "danelya"
+    ],
+    "author": "Danelya",
+    "date": "2025-11-16",
+    "readTime": "3 min read",
+    "image": "https://images.unsplash.com/photo-1488646953014-85cb44e25828?w=1200&h=600&fit=crop",
+    "tags": [
+      "identity",
+      "home",
+      "migration"
+    ],
+    "featured": true,
+    "content": "<p>Migration is not simply the act of moving from one geographical location to another. It&#39;s a profound transformation that reshapes your identity, challenges your understanding of home, and forces you to reconcile who you were with who you&#39;re becoming.</p>\n\n<p>When I first left Kazakhstan to study abroad, I thought migration meant adventure, new opportunities, and freedom. I imagined myself as a cosmopolitan citizen of the world, unbound by borders and traditions. What I didn&#39;t anticipate was the quiet ache of displacement, the subtle ways in which leaving home would fundamentally alter my sense of self.</p>\n\n<h2>The Weight of Distance</h2>\n\n<p>There&#39;s a particular loneliness that comes with migration that no one prepares you for. It&#39;s not the dramatic, tear-stained loneliness of farewell scenes at airports. It&#39;s quieter, more persistent. It emerges in small moments: when you can&#39;t find the right words to explain a childhood memory, when holidays pass without the familiar rhythms of home, when you realize you&#39;re experiencing milestones your family will only hear about through phone screens.</p>\n\n<blockquote>&quot;Home is not a place, but a feeling of belonging that you carry within you—even when you&#39;re thousands of miles away from the land that raised you.&quot;</blockquote>\n\n<p>Distance changes relationships in unexpected ways. Conversations with family become carefully scheduled events, timezone calculations become second nature, and you learn to compress months of experiences into brief video calls. You develop a parallel life that exists primarily in stories you&#39;ll tell when—if—you return.</p>\n\n<h2>Between Two Worlds</h2>\n\n<p>One of the most disorienting aspects of migration is the feeling of existing between worlds. You&#39;re no longer fully at home in your country of origin, but you&#39;ll never be completely native to your adopted land either. You become a cultural translator, constantly switching codes, explaining contexts, bridging gaps that others don&#39;t even notice exist.</p>\n\n<p>Your identity becomes hyphenated, complex, difficult to summarize in simple terms. You&#39;re Kazakh, but also international. You&#39;re from there, but also from here. You belong everywhere and nowhere simultaneously. This liminal space can feel isolating, but it&#39;s also where some of the most interesting personal growth happens.</p>\n\n<h3>The Evolution of Home</h3>\n\n<p>Over time, I&#39;ve come to understand that migration isn&#39;t about choosing between homes—it&#39;s about expanding your definition of home. Home becomes less about a fixed location and more about a constellation of people, memories, languages, and experiences that you carry with you.</p>\n\n<blockquote>&quot;Perhaps not belonging anywhere means you have the freedom to belong everywhere, to create home wherever you are rather than waiting to find it.&quot;</blockquote>\n\n<h2>Redefining Success</h2>\n\n<p>For many Kazakh students and professionals abroad, there&#39;s immense pressure to justify migration through conventional success metrics: prestigious degrees, high-paying jobs, impressive LinkedIn profiles. But I&#39;ve learned that migration&#39;s true value often lies in subtler transformations.</p>\n\n<p>Success might mean learning to be comfortable with discomfort. It might mean developing resilience you didn&#39;t know you needed. It might mean discovering aspects of yourself that would have remained dormant if you&#39;d never left home.</p>\n\n<p>Migration is messy, complicated, and often difficult. But it&#39;s also enriching, transformative, and deeply human. To every Kazakh student or professional reading this from abroad: your experience is valid, your struggles are real, and your hybrid identity is not a weakness but a strength.</p>"
   },
-
-  'almaty-new-york': {
-    category: 'STUDENT STORY',
-    title: 'From Almaty to New York: Finding Home Abroad',
-    subtitle: "Moving to the US was both terrifying and exciting. The hardest part wasn't the language—it was missing the smell of baursak in the morning and learning to build a new kind of home.",
-    author: 'Aidar K.',
-    authorInitial: 'A',
-    date: 'December 10, 2025',
-    readTime: '8 min read',
-    image: 'https://images.unsplash.com/photo-1496442226666-8d4d0e62e6e9?w=1200&h=600&fit=crop',
-    content: `
-      <p>The first morning I woke up in New York City, I reached instinctively for my phone to call my mom. Then I remembered: it was 2 AM in Almaty. This simple arithmetic—adding or subtracting hours, calculating when it was appropriate to miss someone—became the rhythm of my new life.</p>
-
-      <p>I arrived in August 2022 with two suitcases, a scholarship letter, and the kind of naive confidence that comes from never having truly been alone. I was 18 years old and convinced that adapting to New York would be my greatest adventure. I wasn't wrong, but I also had no idea what "adapting" would actually require.</p>
-
-      <h2>The Language Paradox</h2>
-
-      <p>Everyone warned me about the language barrier. I'd studied English since childhood, aced my TOEFL, and felt prepared for academic discussions. What I wasn't prepared for was the loneliness of understanding every word while missing every subtext.</p>
-
-      <blockquote>"Fluency isn't just vocabulary. It's knowing which silence is comfortable and which is awkward, which joke will land and which will require too much explanation."</blockquote>
-
-      <h2>The Small Things You Don't Expect to Miss</h2>
-
-      <p>Before I left, people asked what I'd miss most about Kazakhstan. I gave predictable answers: my family, my friends, the mountains. All true, but incomplete.</p>
-
-      <p>What actually broke my heart in unexpected moments: the smell of baursak frying on Saturday mornings. The specific way my grandmother said my name. Hearing Kazakh or Russian spoken casually on the street. Markets where vendors spoke to you like family.</p>
-
-      <p>I missed beshbarmak so intensely that I tried making it in my dorm's shared kitchen. It tasted wrong with American ingredients, and I cried over a pot of incorrectly spiced meat like it was a profound personal failure.</p>
-
-      <h2>Building Community from Scratch</h2>
-
-      <p>New York has eight million people, but I'd never felt so alone. In Almaty, I had friends I'd known since childhood, family dinners every weekend, a built-in social structure. Here, I had to construct community from nothing.</p>
-
-      <p>I found other international students first—not because we had much in common beyond displacement, but because they understood the particular exhaustion of always performing cultural translation.</p>
-
-      <blockquote>"Homesickness doesn't go away. You just get better at carrying it."</blockquote>
-
-      <h2>Redefining Home</h2>
-
-      <p>Three years in, I still don't have a simple answer to "where is home?" Almaty is home—it's where my family lives, where my childhood memories are rooted, where I feel most fundamentally myself. But New York is also becoming home—it's where I've grown up, built community, created a life.</p>
-
-      <p>I've stopped trying to choose. I'm learning to hold both truths simultaneously: I can miss Almaty desperately while also loving my life in New York. I can be homesick for Kazakhstan while being grateful for opportunities I have here. I can be Kazakh and global, rooted and displaced, belonging to multiple places at once.</p>
-
-      <p>Home is portable, multiple, flexible. It's something I create rather than something I find. And maybe that's exactly what I needed to learn.</p>
-    `
+  "seoul-life": {
+    "category": "FEATURED INTERVIEW",
+    "title": "Life as a Kazakh Student in Seoul",
+    "subtitle": "I chose South Korea for its blend of tradition and innovation. As a Kazakh student here, I've discovered surprising cultural similarities—and learned that home can exist in more than one place.",
+    "authors": [
+      "aruzhan-m"
+    ],
+    "author": "Aruzhan M.",
+    "date": "2025-12-08",
+    "readTime": "3 min read",
+    "image": "",
+    "tags": [
+      "south korea",
+      "student life",
+      "culture"
+    ],
+    "locations": [
+      {
+        "city": "Seoul",
+        "country": "South Korea"
+      }
+    ],
+    "content": "<p>Aruzhan Maulen is a 22-year-old International Relations student at Korea University in Seoul. Originally from Shymkent, she moved to South Korea three years ago to pursue her undergraduate degree. We sat down with her (virtually, across time zones) to discuss her experience as a Kazakh student in one of Asia&#39;s most dynamic cities.</p>\n\n<p class=\"interview-q\">Let&#39;s start at the beginning. Why South Korea? It&#39;s not the most obvious choice for Kazakh students.</p>\n\n<p>That&#39;s exactly why I chose it! Everyone I knew was going to the US, UK, or Russia. I wanted something different. South Korea offered this fascinating blend of deep tradition and cutting-edge modernity. Plus, the Korean government offers generous scholarships for international students, which made it financially possible.</p>\n\n<p class=\"interview-q\">What surprised you most when you first arrived in Seoul?</p>\n\n<p>How hierarchical everything is! Korean culture has this intricate system of age-based respect that&#39;s baked into the language itself. There are different verb endings depending on whether you&#39;re speaking to someone older, younger, or the same age as you. Coming from Kazakhstan, where we also have respect for elders but less linguistic formality, it took serious adjustment.</p>\n\n<blockquote>&quot;Seoul taught me that adaptation isn&#39;t about erasing your own culture—it&#39;s about making space for both cultures to coexist within you.&quot;</blockquote>\n\n<p class=\"interview-q\">Did you find any unexpected similarities between Kazakh and Korean cultures?</p>\n\n<p>So many! Both cultures have this deep respect for education and family. The collectivist mindset where group harmony matters more than individual expression. The food culture—we both love fermented foods, grilled meat, and eating communally.</p>\n\n<p>There are even linguistic connections. Some Korean words have Altaic roots similar to Turkic languages. When I learned that Seoul was called &quot;Seorabol&quot; historically, potentially connected to the Turkic word &quot;saray&quot; meaning palace, I felt this unexpected historical connection.</p>\n\n<p class=\"interview-q\">What&#39;s the Kazakh student community like in Seoul?</p>\n\n<p>Small but tight-knit! There are maybe 200-300 Kazakh students across all of Seoul&#39;s universities. We find each other through Facebook groups and university Kazakh student associations. Every few months, someone organizes a gathering where we make plov together, celebrate Nauryz, or just speak Russian and Kazakh without having to translate our thoughts.</p>\n\n<p class=\"interview-q\">What advice would you give Kazakh students considering studying in Korea?</p>\n\n<p>First, learn Korean before you arrive. Even basic proficiency makes a huge difference in your adjustment and social integration. Don&#39;t rely only on English—many Koreans are shy about their English skills and will open up more if you speak Korean.</p>\n\n<p>Second, be ready for intense academic culture. Korean universities are rigorous. Come prepared to work hard and manage stress healthily.</p>\n\n<p>Finally, stay connected to Kazakhstan. Your Kazakh identity is an asset, not something to hide or minimize. Korean people are fascinated by different cultures when you present yours with pride and knowledge.</p>\n\n<blockquote>&quot;You don&#39;t have to choose between worlds. You can build bridges between them and walk back and forth freely.&quot;</blockquote>\n\n<p class=\"interview-q\">What has Seoul taught you about yourself?</p>\n\n<p>That I&#39;m more resilient than I thought. Moving to a country where I didn&#39;t speak the language fluently, didn&#39;t know anyone, had to navigate completely different cultural norms—that takes courage I didn&#39;t know I had.</p>\n\n<p>Seoul taught me that growth happens outside comfort zones. Every challenge—language barriers, cultural misunderstandings, academic pressure—has made me stronger, more adaptable, more empathetic.</p>\n\n<p>It also taught me about identity&#39;s complexity. I&#39;m Kazakh, always will be. But I&#39;m also someone shaped by living in Seoul, speaking Korean, navigating between cultures. These aren&#39;t contradictory identities—they&#39;re layers that make me more dimensional.</p>"
   },
-
-  'seoul-life': {
-    category: 'FEATURED INTERVIEW',
-    title: 'Life as a Kazakh Student in Seoul',
-    subtitle: "I chose South Korea for its blend of tradition and innovation. As a Kazakh student here, I've discovered surprising cultural similarities—and learned that home can exist in more than one place.",
-    author: 'Interview with Aruzhan M.',
-    authorInitial: 'A',
-    date: 'December 8, 2025',
-    readTime: '10 min read',
-    image: '',
-    content: `
-      <p>Aruzhan Maulen is a 22-year-old International Relations student at Korea University in Seoul. Originally from Shymkent, she moved to South Korea three years ago to pursue her undergraduate degree. We sat down with her (virtually, across time zones) to discuss her experience as a Kazakh student in one of Asia's most dynamic cities.</p>
-
-      <p class="interview-q">Let's start at the beginning. Why South Korea? It's not the most obvious choice for Kazakh students.</p>
-
-      <p>That's exactly why I chose it! Everyone I knew was going to the US, UK, or Russia. I wanted something different. South Korea offered this fascinating blend of deep tradition and cutting-edge modernity. Plus, the Korean government offers generous scholarships for international students, which made it financially possible.</p>
-
-      <p class="interview-q">What surprised you most when you first arrived in Seoul?</p>
-
-      <p>How hierarchical everything is! Korean culture has this intricate system of age-based respect that's baked into the language itself. There are different verb endings depending on whether you're speaking to someone older, younger, or the same age as you. Coming from Kazakhstan, where we also have respect for elders but less linguistic formality, it took serious adjustment.</p>
-
-      <blockquote>"Seoul taught me that adaptation isn't about erasing your own culture—it's about making space for both cultures to coexist within you."</blockquote>
-
-      <p class="interview-q">Did you find any unexpected similarities between Kazakh and Korean cultures?</p>
-
-      <p>So many! Both cultures have this deep respect for education and family. The collectivist mindset where group harmony matters more than individual expression. The food culture—we both love fermented foods, grilled meat, and eating communally.</p>
-
-      <p>There are even linguistic connections. Some Korean words have Altaic roots similar to Turkic languages. When I learned that Seoul was called "Seorabol" historically, potentially connected to the Turkic word "saray" meaning palace, I felt this unexpected historical connection.</p>
-
-      <p class="interview-q">What's the Kazakh student community like in Seoul?</p>
-
-      <p>Small but tight-knit! There are maybe 200-300 Kazakh students across all of Seoul's universities. We find each other through Facebook groups and university Kazakh student associations. Every few months, someone organizes a gathering where we make plov together, celebrate Nauryz, or just speak Russian and Kazakh without having to translate our thoughts.</p>
-
-      <p class="interview-q">What advice would you give Kazakh students considering studying in Korea?</p>
-
-      <p>First, learn Korean before you arrive. Even basic proficiency makes a huge difference in your adjustment and social integration. Don't rely only on English—many Koreans are shy about their English skills and will open up more if you speak Korean.</p>
-
-      <p>Second, be ready for intense academic culture. Korean universities are rigorous. Come prepared to work hard and manage stress healthily.</p>
-
-      <p>Finally, stay connected to Kazakhstan. Your Kazakh identity is an asset, not something to hide or minimize. Korean people are fascinated by different cultures when you present yours with pride and knowledge.</p>
-
-      <blockquote>"You don't have to choose between worlds. You can build bridges between them and walk back and forth freely."</blockquote>
-
-      <p class="interview-q">What has Seoul taught you about yourself?</p>
-
-      <p>That I'm more resilient than I thought. Moving to a country where I didn't speak the language fluently, didn't know anyone, had to navigate completely different cultural norms—that takes courage I didn't know I had.</p>
-
-      <p>Seoul taught me that growth happens outside comfort zones. Every challenge—language barriers, cultural misunderstandings, academic pressure—has made me stronger, more adaptable, more empathetic.</p>
-
-      <p>It also taught me about identity's complexity. I'm Kazakh, always will be. But I'm also someone shaped by living in Seoul, speaking Korean, navigating between cultures. These aren't contradictory identities—they're layers that make me more dimensional.</p>
-    `
+  "student-mobility-research": {
+    "category": "RESEARCH PAPER",
+    "title": "The Impact of International Student Mobility on Educational, Professional, and Life-Course Outcomes",
+    "subtitle": "A comprehensive research study examining motivations, challenges, and retrospective evaluations of studying abroad among international students, with a particular focus on Kazakhstani students.",
+    "authors": [
+      "danel-aitmagambet",
+      "lidia-lo-schiavo"
+    ],
+    "author": "Danel Aitmagambet & Lidia Lo Schiavo",
+    "date": "2025-10",
+    "readTime": "7 min read",
+    "image": "https://images.unsplash.com/photo-1523240795612-9a054b0db644?w=1200&h=600&fit=crop",
+    "tags": [
+      "research",
+      "study abroad",
+      "survey"
+    ],
+    "pdf": "student-mobility-research-2025.pdf",
+    "content": "<h2>Abstract</h2>\n\n<p><em>Roots &amp; Roads Research Initiative · Survey of 80 international students · Mixed-methods analysis</em></p>\n\n<p>Student migration is one of the fastest-growing forms of youth mobility, increasingly framed as a pathway to higher-quality education, international prestige, and improved career prospects. This study examines motivations, perceived challenges, and retrospective evaluations of studying abroad among international students, with a particular analytical focus on Kazakhstani students.</p>\n\n<p>The analysis draws on original survey data from 80 respondents collected between August and October 2025 within the Roots &amp; Roads research initiative and combines descriptive statistics with qualitative insights from an open-ended question.</p>\n\n<blockquote>&quot;Findings highlight that educational quality and career opportunities are primary drivers, while emotional strain and financial concerns represent major costs; nevertheless, most respondents report high satisfaction and a strong willingness to choose studying abroad again.&quot;</blockquote>\n\n<p><strong>Keywords:</strong> student migration; international education; youth mobility; studying abroad; comparative analysis</p>\n\n<h2>1. Introduction</h2>\n\n<p>Over the past two decades, international student mobility has expanded dramatically, becoming a central feature of global higher education systems. Studying abroad is frequently portrayed as a gateway to academic excellence, global exposure, and upward social mobility. Universities, governments, and media narratives often emphasize benefits such as employability, cultural capital, and personal growth. As a result, studying abroad has become increasingly normalized among ambitious young people.</p>\n\n<p>However, behind this idealized image lies a more complex reality. For many students, the decision to leave their home country is shaped not only by aspiration but also by structural constraints: limited access to affordable, high-quality education at home, intense competition for scholarships, and perceived inequalities between domestic and foreign education systems. In this sense, student migration is not always a purely voluntary choice; it can also represent a strategic response to systemic limitations.</p>\n\n<p>Kazakhstan represents a particularly relevant case within this global trend. Although the country has invested in higher education reforms and internationalization, many students continue to perceive foreign universities as more prestigious, better resourced, and more internationally competitive. High tuition fees, limited scholarship availability, and strong competition for elite domestic institutions motivate many Kazakhstani students to seek education abroad. Similar dynamics can be observed in other post-Soviet and emerging economies, though the intensity of these pressures varies.</p>\n\n<h3>Research Questions</h3>\n\n<ol>\n  <li>What motivates students to study abroad?</li>\n  <li>What challenges do international students face after migration?</li>\n  <li>How do students retrospectively evaluate their study-abroad experience?</li>\n  <li>Are there differences between Kazakhstani students and students from other countries?</li>\n  <li>If given the opportunity, would students choose to study abroad again?</li>\n</ol>\n\n<h2>2. Literature Review</h2>\n\n<p>Existing research conceptualizes international student mobility as a form of youth migration linked to globalization, labor market transformation, and the internationalization of higher education (Altbach and Knight, 2007; King and Raghuram, 2013). Push–pull frameworks identify factors such as limited educational opportunities at home, prestige abroad, and expectations of better career outcomes as key drivers (Brooks and Waters, 2011).</p>\n\n<p>A life-course perspective emphasizes that international student mobility is part of broader youth transitions rather than a temporary educational episode. Cairns&#39; concept of &quot;being mobile&quot; highlights how mobility becomes integrated into identities, aspirations, and future planning (Cairns, 2014). At the same time, extensive research documents challenges faced by international students: language barriers, cultural shock, academic stress, social isolation, discrimination, and mental health difficulties (Marginson, 2014; Wu et al., 2015).</p>\n\n<p>More recent work also emphasizes that international education can influence long-term migration trajectories. Fidler (2025), focusing on Turkey, demonstrates how sociocultural and professional factors shape whether international academic mobility remains temporary or evolves into longer-term migration. Kazakhstan and Central Asia remain underrepresented in comparative empirical research, and fewer studies focus on retrospective evaluation; this study addresses both gaps.</p>\n\n<h2>3. Methodology</h2>\n\n<h3>3.1 Research Design</h3>\n\n<p>This study adopts a mixed-methods research design, integrating quantitative survey data with qualitative insights from an open-ended question. The mixed-methods approach allows for a comprehensive examination of international students&#39; motivations, challenges, and retrospective evaluations by capturing both measurable patterns and subjective experiences.</p>\n\n<h3>3.2 Dataset and Sample</h3>\n\n<p>The primary data source is an original online survey developed within the Roots &amp; Roads project. Data collection took place between August and October 2025. The final dataset includes <strong>80 respondents</strong> who were international students or young professionals studying or working abroad. The sample was constructed through non-probability purposive sampling based on voluntary participation.</p>\n\n<h3>3.3 Demographic Profile</h3>\n\n<p>The sample is predominantly composed of young individuals, with more than 90% between ages 17-25:</p>\n\n<ul>\n  <li><strong>Age Distribution:</strong> 41.3% (17-19 years), 27.5% (20-22 years), 23.8% (23-25 years)</li>\n  <li><strong>Country of Origin:</strong> 46.3% from Kazakhstan, with remaining respondents from Poland, Russia, Uzbekistan, Austria, Egypt, Italy, and Ukraine</li>\n  <li><strong>Study Destinations:</strong> Nearly half studying in Kazakhstan, with Poland and Italy as most common international destinations</li>\n  <li><strong>Educational Level:</strong> 60% Bachelor&#39;s programs, 26.3% Master&#39;s programs, 13.7% Doctoral/PhD</li>\n</ul>\n\n<p>Overall, the demographic profile reflects a young, predominantly undergraduate and early postgraduate population with strong representation from Kazakhstan and varied international study destinations.</p>\n\n<h2>4. Results and Discussion</h2>\n\n<h3>4.1 Motivations for Studying Abroad</h3>\n\n<p>Survey results show that <strong>access to higher-quality education and better career prospects</strong> are the most frequently cited motivations for studying abroad. Over 60% of respondents selected professional development as a primary driver, followed closely by educational quality. Cultural experience, language learning, and international networking were also highly valued.</p>\n\n<p>Among Kazakhstani respondents, limited opportunities within the domestic education system and financial constraints were particularly prominent, supporting existing findings on structurally driven student migration from emerging economies.</p>\n\n<blockquote>&quot;For many students, the decision to leave their home country is shaped not only by aspiration but also by structural constraints.&quot;</blockquote>\n\n<h3>4.2 Emotional and Social Challenges</h3>\n\n<p>Leaving home was perceived as emotionally difficult by most respondents, with medium-to-high difficulty ratings dominating responses. Homesickness, separation from family, and social isolation were frequently mentioned. Language barriers and difficulties in social integration were especially pronounced during the early stages of migration.</p>\n\n<p>Qualitative responses reveal that many students underestimated the emotional cost of studying abroad, particularly the experience of celebrating holidays away from family and rebuilding social networks from scratch.</p>\n\n<p><em>One respondent noted:</em> &quot;Studying abroad required learning independence faster than expected, but at the cost of constant homesickness.&quot;</p>\n\n<h3>4.3 Financial Pressure and Bureaucracy</h3>\n\n<p>Financial burden emerged as the most frequently reported concern prior to migration, cited by <strong>60% of respondents</strong>. Tuition fees, living expenses, and uncertainty surrounding scholarships strongly influenced destination choices. Bureaucratic challenges, including visa procedures and administrative complexity, further contributed to stress and uncertainty.</p>\n\n<h3>4.4 Retrospective Evaluation: Was It Worth It?</h3>\n\n<p>Despite these challenges, the majority of respondents expressed high levels of satisfaction with their study-abroad experience. Most rated the professional value of studying abroad between 8 and 10 on a ten-point scale. Importantly, <strong>over two-thirds stated that they would definitely choose to study abroad again</strong>.</p>\n\n<p>These findings suggest that international education, while demanding, is often integrated into longer-term life transitions and mobility projects rather than perceived as a temporary sacrifice (Cairns, 2014).</p>\n\n<blockquote>&quot;International student mobility functions not merely as an educational decision but as a broader life-course transition. Despite significant emotional strain and financial pressure, students retrospectively integrate studying abroad into long-term narratives of self-development, independence, and future mobility.&quot;</blockquote>\n\n<h2>5. Conclusion</h2>\n\n<p>This study examined international student migration through a comparative lens, with particular attention to Kazakhstani students. Based on original survey data collected over three months, the findings demonstrate that studying abroad is shaped by structural inequalities, emotional costs, and significant personal sacrifice. Yet, despite these challenges, most students retrospectively evaluate the experience as worthwhile and transformative.</p>\n\n<p>The results raise broader questions about national education systems and potential brain drain. When ambitious and capable students consistently seek education abroad, this reflects not only individual aspiration but also systemic shortcomings in access, affordability, and institutional support at home.</p>\n\n<h3>Policy Implications</h3>\n\n<p>These findings carry important implications for higher education policy and student support systems:</p>\n\n<ul>\n  <li><strong>Enhanced mental health services</strong> are essential given the emotional costs students bear</li>\n  <li><strong>Transparent financial guidance</strong> and support systems are needed</li>\n  <li><strong>Stronger integration programs</strong> to help international students integrate socially and culturally</li>\n  <li>Recognition that benefits of international mobility should not come at the expense of student well-being</li>\n</ul>\n\n<p>Future research should expand the sample size and adopt longitudinal approaches to explore long-term outcomes of international education. Nevertheless, this study contributes to a deeper understanding of student migration from underrepresented regions and highlights the importance of balancing the romanticized narrative of studying abroad with a realistic acknowledgment of its costs.</p>\n\n<h3>📚 Read the Complete Research</h3>\n\n<p>Download the full PDF to access detailed methodology, statistical analysis, data visualizations, complete references, and in-depth findings.</p>\n\n<p><a href=\"student-mobility-research-2025.pdf\">📥 Download Full PDF (9 pages, 2.8 MB)</a></p>\n\n<h3>About the Authors</h3>\n\n<p><strong>Danel Aitmagambet</strong> and <strong>Lidia Lo Schiavo</strong> conducted this research as part of the Roots &amp; Roads initiative, examining international student migration patterns with a focus on Kazakhstani students and youth mobility in Central Asia.</p>\n\n<p><strong>References:</strong> Altbach &amp; Knight (2007), Brooks &amp; Waters (2011), Cairns (2014), Fidler (2025), King &amp; Raghuram (2013), Marginson (2014), Wu et al. (2015)</p>"
   },
-
-  'student-mobility-research': {
-    category: 'RESEARCH PAPER',
-    title: 'The Impact of International Student Mobility on Educational, Professional, and Life-Course Outcomes',
-    subtitle: 'A comprehensive research study examining motivations, challenges, and retrospective evaluations of studying abroad among international students, with a particular focus on Kazakhstani students.',
-    author: 'Danel Aitmagambet & Lidia Lo Schiavo',
-    authorInitial: 'D',
-    date: 'October 2025',
-    readTime: 'Research Paper',
-    image: 'https://images.unsplash.com/photo-1523240795612-9a054b0db644?w=1200&h=600&fit=crop',
-    isPDF: true,
-    content: `
-      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 2rem; border-radius: 12px; margin-bottom: 2rem; color: white; box-shadow: 0 10px 30px rgba(102, 126, 234, 0.3);">
-        <h2 style="color: white; margin-top: 0; font-size: 1.8rem;">Research Paper</h2>
-        <p style="font-size: 1.1rem; opacity: 0.95; margin-bottom: 0.5rem;">Published October 2025 | Roots & Roads Research Initiative</p>
-        <p style="font-size: 0.95rem; opacity: 0.85;">Survey of 80 international students | Mixed-methods analysis</p>
-        <a href="student-mobility-research-2025.pdf" download style="display: inline-block; background: white; color: #667eea; padding: 0.75rem 1.5rem; border-radius: 8px; text-decoration: none; font-weight: 600; margin-top: 1rem; transition: all 0.2s; box-shadow: 0 4px 12px rgba(0,0,0,0.15);" onmouseover="this.style.transform='translateY(-2px)'; this.style.boxShadow='0 6px 16px rgba(0,0,0,0.2)'" onmouseout="this.style.transform='translateY(0)'; this.style.boxShadow='0 4px 12px rgba(0,0,0,0.15)'">
-          📥 Download Full PDF (9 pages)
-        </a>
-      </div>
-
-      <h2>Abstract</h2>
-      <p>Student migration is one of the fastest-growing forms of youth mobility, increasingly framed as a pathway to higher-quality education, international prestige, and improved career prospects. This study examines motivations, perceived challenges, and retrospective evaluations of studying abroad among international students, with a particular analytical focus on Kazakhstani students.</p>
-
-      <p>The analysis draws on original survey data from 80 respondents collected between August and October 2025 within the Roots & Roads research initiative and combines descriptive statistics with qualitative insights from an open-ended question.</p>
-
-      <blockquote style="border-left: 4px solid #667eea; padding-left: 1.5rem; margin: 2rem 0; font-style: italic; color: #4a5568;">"Findings highlight that educational quality and career opportunities are primary drivers, while emotional strain and financial concerns represent major costs; nevertheless, most respondents report high satisfaction and a strong willingness to choose studying abroad again."</blockquote>
-
-      <p><strong>Keywords:</strong> student migration; international education; youth mobility; studying abroad; comparative analysis</p>
-
-      <h2>1. Introduction</h2>
-
-      <p>Over the past two decades, international student mobility has expanded dramatically, becoming a central feature of global higher education systems. Studying abroad is frequently portrayed as a gateway to academic excellence, global exposure, and upward social mobility. Universities, governments, and media narratives often emphasize benefits such as employability, cultural capital, and personal growth. As a result, studying abroad has become increasingly normalized among ambitious young people.</p>
-
-      <p>However, behind this idealized image lies a more complex reality. For many students, the decision to leave their home country is shaped not only by aspiration but also by structural constraints: limited access to affordable, high-quality education at home, intense competition for scholarships, and perceived inequalities between domestic and foreign education systems. In this sense, student migration is not always a purely voluntary choice; it can also represent a strategic response to systemic limitations.</p>
-
-      <p>Kazakhstan represents a particularly relevant case within this global trend. Although the country has invested in higher education reforms and internationalization, many students continue to perceive foreign universities as more prestigious, better resourced, and more internationally competitive. High tuition fees, limited scholarship availability, and strong competition for elite domestic institutions motivate many Kazakhstani students to seek education abroad. Similar dynamics can be observed in other post-Soviet and emerging economies, though the intensity of these pressures varies.</p>
-
-      <h3>Research Questions</h3>
-      <ol>
-        <li>What motivates students to study abroad?</li>
-        <li>What challenges do international students face after migration?</li>
-        <li>How do students retrospectively evaluate their study-abroad experience?</li>
-        <li>Are there differences between Kazakhstani students and students from other countries?</li>
-        <li>If given the opportunity, would students choose to study abroad again?</li>
-      </ol>
-
-      <h2>2. Literature Review</h2>
-
-      <p>Existing research conceptualizes international student mobility as a form of youth migration linked to globalization, labor market transformation, and the internationalization of higher education (Altbach and Knight, 2007; King and Raghuram, 2013). Push–pull frameworks identify factors such as limited educational opportunities at home, prestige abroad, and expectations of better career outcomes as key drivers (Brooks and Waters, 2011).</p>
-
-      <p>A life-course perspective emphasizes that international student mobility is part of broader youth transitions rather than a temporary educational episode. Cairns' concept of "being mobile" highlights how mobility becomes integrated into identities, aspirations, and future planning (Cairns, 2014). At the same time, extensive research documents challenges faced by international students: language barriers, cultural shock, academic stress, social isolation, discrimination, and mental health difficulties (Marginson, 2014; Wu et al., 2015).</p>
-
-      <p>More recent work also emphasizes that international education can influence long-term migration trajectories. Fidler (2025), focusing on Turkey, demonstrates how sociocultural and professional factors shape whether international academic mobility remains temporary or evolves into longer-term migration. Kazakhstan and Central Asia remain underrepresented in comparative empirical research, and fewer studies focus on retrospective evaluation; this study addresses both gaps.</p>
-
-      <h2>3. Methodology</h2>
-
-      <h3>3.1 Research Design</h3>
-      <p>This study adopts a mixed-methods research design, integrating quantitative survey data with qualitative insights from an open-ended question. The mixed-methods approach allows for a comprehensive examination of international students' motivations, challenges, and retrospective evaluations by capturing both measurable patterns and subjective experiences.</p>
-
-      <h3>3.2 Dataset and Sample</h3>
-      <p>The primary data source is an original online survey developed within the Roots & Roads project. Data collection took place between August and October 2025. The final dataset includes <strong>80 respondents</strong> who were international students or young professionals studying or working abroad. The sample was constructed through non-probability purposive sampling based on voluntary participation.</p>
-
-      <h3>3.3 Demographic Profile</h3>
-      <p>The sample is predominantly composed of young individuals, with more than 90% between ages 17-25:</p>
-
-      <ul>
-        <li><strong>Age Distribution:</strong> 41.3% (17-19 years), 27.5% (20-22 years), 23.8% (23-25 years)</li>
-        <li><strong>Country of Origin:</strong> 46.3% from Kazakhstan, with remaining respondents from Poland, Russia, Uzbekistan, Austria, Egypt, Italy, and Ukraine</li>
-        <li><strong>Study Destinations:</strong> Nearly half studying in Kazakhstan, with Poland and Italy as most common international destinations</li>
-        <li><strong>Educational Level:</strong> 60% Bachelor's programs, 26.3% Master's programs, 13.7% Doctoral/PhD</li>
-      </ul>
-
-      <p>Overall, the demographic profile reflects a young, predominantly undergraduate and early postgraduate population with strong representation from Kazakhstan and varied international study destinations.</p>
-
-      <h2>4. Results and Discussion</h2>
-
-      <h3>4.1 Motivations for Studying Abroad</h3>
-
-      <p>Survey results show that <strong>access to higher-quality education and better career prospects</strong> are the most frequently cited motivations for studying abroad. Over 60% of respondents selected professional development as a primary driver, followed closely by educational quality. Cultural experience, language learning, and international networking were also highly valued.</p>
-
-      <p>Among Kazakhstani respondents, limited opportunities within the domestic education system and financial constraints were particularly prominent, supporting existing findings on structurally driven student migration from emerging economies.</p>
-
-      <blockquote style="border-left: 4px solid #667eea; padding-left: 1.5rem; margin: 2rem 0; font-style: italic; color: #4a5568;">"For many students, the decision to leave their home country is shaped not only by aspiration but also by structural constraints."</blockquote>
-
-      <h3>4.2 Emotional and Social Challenges</h3>
-
-      <p>Leaving home was perceived as emotionally difficult by most respondents, with medium-to-high difficulty ratings dominating responses. Homesickness, separation from family, and social isolation were frequently mentioned. Language barriers and difficulties in social integration were especially pronounced during the early stages of migration.</p>
-
-      <p>Qualitative responses reveal that many students underestimated the emotional cost of studying abroad, particularly the experience of celebrating holidays away from family and rebuilding social networks from scratch.</p>
-
-      <p><em>One respondent noted:</em> "Studying abroad required learning independence faster than expected, but at the cost of constant homesickness."</p>
-
-      <h3>4.3 Financial Pressure and Bureaucracy</h3>
-
-      <p>Financial burden emerged as the most frequently reported concern prior to migration, cited by <strong>60% of respondents</strong>. Tuition fees, living expenses, and uncertainty surrounding scholarships strongly influenced destination choices. Bureaucratic challenges, including visa procedures and administrative complexity, further contributed to stress and uncertainty.</p>
-
-      <h3>4.4 Retrospective Evaluation: Was It Worth It?</h3>
-
-      <p>Despite these challenges, the majority of respondents expressed high levels of satisfaction with their study-abroad experience. Most rated the professional value of studying abroad between 8 and 10 on a ten-point scale. Importantly, <strong>over two-thirds stated that they would definitely choose to study abroad again</strong>.</p>
-
-      <p>These findings suggest that international education, while demanding, is often integrated into longer-term life transitions and mobility projects rather than perceived as a temporary sacrifice (Cairns, 2014).</p>
-
-      <blockquote style="border-left: 4px solid #667eea; padding-left: 1.5rem; margin: 2rem 0; font-style: italic; color: #4a5568;">"International student mobility functions not merely as an educational decision but as a broader life-course transition. Despite significant emotional strain and financial pressure, students retrospectively integrate studying abroad into long-term narratives of self-development, independence, and future mobility."</blockquote>
-
-      <h2>5. Conclusion</h2>
-
-      <p>This study examined international student migration through a comparative lens, with particular attention to Kazakhstani students. Based on original survey data collected over three months, the findings demonstrate that studying abroad is shaped by structural inequalities, emotional costs, and significant personal sacrifice. Yet, despite these challenges, most students retrospectively evaluate the experience as worthwhile and transformative.</p>
-
-      <p>The results raise broader questions about national education systems and potential brain drain. When ambitious and capable students consistently seek education abroad, this reflects not only individual aspiration but also systemic shortcomings in access, affordability, and institutional support at home.</p>
-
-      <h3>Policy Implications</h3>
-
-      <p>These findings carry important implications for higher education policy and student support systems:</p>
-      <ul>
-        <li><strong>Enhanced mental health services</strong> are essential given the emotional costs students bear</li>
-        <li><strong>Transparent financial guidance</strong> and support systems are needed</li>
-        <li><strong>Stronger integration programs</strong> to help international students integrate socially and culturally</li>
-        <li>Recognition that benefits of international mobility should not come at the expense of student well-being</li>
-      </ul>
-
-      <p>Future research should expand the sample size and adopt longitudinal approaches to explore long-term outcomes of international education. Nevertheless, this study contributes to a deeper understanding of student migration from underrepresented regions and highlights the importance of balancing the romanticized narrative of studying abroad with a realistic acknowledgment of its costs.</p>
-
-      <div style="background: #f7fafc; padding: 2rem; border-left: 4px solid #667eea; margin: 3rem 0 2rem 0; border-radius: 4px;">
-        <h3 style="margin-top: 0; color: #2d3748;">📚 Read the Complete Research</h3>
-        <p style="color: #4a5568; margin-bottom: 1.5rem;">Download the full PDF to access detailed methodology, statistical analysis, data visualizations, complete references, and in-depth findings.</p>
-        <a href="student-mobility-research-2025.pdf" download style="display: inline-block; background: #667eea; color: white; padding: 0.875rem 1.75rem; border-radius: 8px; text-decoration: none; font-weight: 600; transition: all 0.2s; box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);" onmouseover="this.style.background='#5568d3'; this.style.transform='translateY(-2px)'; this.style.boxShadow='0 6px 16px rgba(102, 126, 234, 0.4)'" onmouseout="this.style.background='#667eea'; this.style.transform='translateY(0)'; this.style.boxShadow='0 4px 12px rgba(102, 126, 234, 0.3)'">
-          📥 Download Full PDF (9 pages, 2.8 MB)
-        </a>
-      </div>
-
-      <h3 style="margin-top: 3rem;">About the Authors</h3>
-      <p><strong>Danel Aitmagambet</strong> and <strong>Lidia Lo Schiavo</strong> conducted this research as part of the Roots & Roads initiative, examining international student migration patterns with a focus on Kazakhstani students and youth mobility in Central Asia.</p>
-
-      <div style="background: #edf2f7; padding: 1.5rem; border-radius: 8px; margin-top: 2rem;">
-        <p style="margin: 0; font-size: 0.9rem; color: #4a5568;"><strong>References:</strong> Altbach & Knight (2007), Brooks & Waters (2011), Cairns (2014), Fidler (2025), King & Raghuram (2013), Marginson (2014), Wu et al. (2015)</p>
-      </div>
-    `
+  "study-abroad": {
+    "category": "EDUCATION ESSAY",
+    "title": "Is It Really Worth Studying Abroad?",
+    "subtitle": "An honest reflection on the promises, realities, and hidden costs of international education—beyond the glossy brochures and Instagram photos.",
+    "authors": [
+      "maria"
+    ],
+    "author": "Maria",
+    "date": "2025-11-17",
+    "readTime": "3 min read",
+    "image": "https://images.unsplash.com/photo-1498243691581-b145c3f54a5a?w=1200&h=600&fit=crop",
+    "tags": [
+      "education",
+      "study abroad",
+      "costs"
+    ],
+    "featured": true,
+    "content": "<p>Every year, thousands of Kazakh students apply to universities abroad, dreaming of world-class education, global networks, and transformative experiences. We&#39;re told that studying abroad is an investment in our future, a ticket to better opportunities, a chance to &quot;find ourselves&quot; in foreign lands. But is it really worth it?</p>\n\n<p>I&#39;m writing this from my apartment in London, three years into a degree that has cost more than my parents&#39; combined salaries for a decade. I&#39;ve gained things I never could have imagined—and lost things I didn&#39;t know I valued. This isn&#39;t a story with a simple yes or no answer. It&#39;s more complicated than that.</p>\n\n<h2>The Dream vs. The Reality</h2>\n\n<p>The promotional materials for international universities sell a specific vision: diverse classrooms, intellectual debates with brilliant peers, professors who are leaders in their fields, career opportunities that will change your life trajectory. And to be fair, some of this is true.</p>\n\n<p>What they don&#39;t show you is the 3 AM anxiety attacks when you&#39;re wondering if this degree will actually be worth the debt. The isolation of being the only person in your cohort who has to explain where Kazakhstan is on a map. The exhaustion of code-switching between languages, cultures, and identities multiple times a day.</p>\n\n<blockquote>&quot;Education abroad promises transformation, and it delivers—but not always the kind of transformation you expected or wanted.&quot;</blockquote>\n\n<h2>The Financial Reality Check</h2>\n\n<p>Let&#39;s talk about money, because nobody wants to. International tuition fees are astronomical. Even with scholarships, the cost of living in major cities can drain your savings faster than you ever anticipated. You calculate exchange rates in your head constantly. You skip social events because you can&#39;t afford another restaurant meal.</p>\n\n<p>The financial burden isn&#39;t just about numbers in a bank account. It&#39;s psychological weight. It&#39;s the pressure to make every moment &quot;count,&quot; to justify the investment, to succeed spectacularly enough that the sacrifice feels worth it.</p>\n\n<h2>What You Actually Learn</h2>\n\n<p>Here&#39;s the thing though: I have learned an incredible amount. Not all of it came from classrooms, and much of it wasn&#39;t in the course catalog.</p>\n\n<p>I learned resilience. How to navigate bureaucratic systems in a second language. How to build community from scratch in a place where you know no one. How to advocate for yourself when professors mispronounce your name or make assumptions about your background.</p>\n\n<blockquote>&quot;The most valuable education abroad isn&#39;t what you learn in lectures—it&#39;s what you learn about yourself when everything familiar is stripped away.&quot;</blockquote>\n\n<h2>So... Is It Worth It?</h2>\n\n<p>For me, personally, yes. But that answer comes with qualifications, caveats, and acknowledgment of privilege. I had family support, scholarships, and circumstances that made this path possible. Not everyone does.</p>\n\n<p>Studying abroad has been one of the most challenging and rewarding experiences of my life. It&#39;s made me more independent, more aware, more capable. But it&#39;s also been lonely, expensive, and sometimes unbearably hard.</p>\n\n<p>The real question isn&#39;t whether studying abroad is worth it in general—it&#39;s whether it&#39;s worth it for you, given your specific goals, resources, and circumstances.</p>"
   }
 };
 
 // Function to get article by ID
-function getArticle(id) {
-  return articlesData[id] || null;
+export function getArticle(id) {
+  return Object.hasOwn(articlesData, id) ? articlesData[id] : null;
 }
 
 // Function to get all article IDs
-function getAllArticleIds() {
+export function getAllArticleIds() {
   return Object.keys(articlesData);
 }
+
+// region: home region in Kazakhstan, country: where they live now (both optional)
+// bio: HTML compiled from the Markdown body of authors/<id>.md
+const authorsData = {
+  "aidar-k": {
+    "name": "Aidar K.",
+    "initial": "A",
+    "photo": "",
+    "links": [],
+    "region": "Almaty",
+    "country": "United States",
+    "bio": "<p>Aidar grew up in Almaty, moved to New York on a scholarship in 2022 and writes about homesickness, language and building a new kind of home abroad.</p>"
+  },
+  "aruzhan-m": {
+    "name": "Aruzhan M.",
+    "initial": "A",
+    "photo": "",
+    "links": [],
+    "region": "Shymkent",
+    "country": "South Korea",
+    "bio": "<p>Aruzhan is from Shymkent and studies International Relations at Korea University in Seoul, where she moved for her undergraduate degree.</p>"
+  },
+  "danel-aitmagambet": {
+    "name": "Danel Aitmagambet",
+    "initial": "D",
+    "photo": "",
+    "links": [],
+    "bio": "<p>Danel researches international student mobility within the Roots &amp; Roads research initiative.</p>"
+  },
+  "danelya": {
+    "name": "Danelya",
+    "initial": "D",
+    "photo": "",
+    "links": [],
+    "bio": "<p>Danelya left Kazakhstan to study abroad and writes about migration, identity and what it means to carry home with you.</p>"
+  },
+  "lidia-lo-schiavo": {
+    "name": "Lidia Lo Schiavo",
+    "initial": "L",
+    "photo": "",
+    "links": [],
+    "bio": "<p>Lidia researches international student mobility within the Roots &amp; Roads research initiative.</p>"
+  },
+  "maria": {
+    "name": "Maria",
+    "initial": "M",
+    "photo": "",
+    "links": [],
+    "country": "United Kingdom",
+    "bio": "<p>Maria is studying in London and writes about the promises and the real costs of an education abroad.</p>"
+  },
+  "sena": {
+    "name": "Sena",
+    "initial": "S",
+    "photo": "",
+    "links": [],
+    "region": "Almaty",
+    "bio": "<p>Sena was born in Almaty and left at eight, growing up between three countries and their international schools, and writes about third culture identity and belonging.</p>"
+  }
+};
+
+export function getAuthor(id) {
+  return Object.hasOwn(authorsData, id) ? authorsData[id] : null;
+}
+
+export function getAllAuthorIds() {
+  return Object.keys(authorsData);
+}
@@ -0,0 +1,104 @@
+// ===================================
+// ARTICLES PAGE
+// ===================================
+// articles.html: every article as a card, narrowed by category chips, tag
+// chips and a full-text search. The state is kept in the URL query
+// (?category=...&tag=...&q=...) so a filtered list can be shared.
+
+import { listArticles, createArticleCard } from './article-listings.js';
+import {
+  buildSearchIndex, filterArticles, articleFacet, searchWords, matchExcerpt,
+  emptyArticleFilters, readArticleFilters
+} from './article-search.js';
+import { writeQueryState } from './url-state.js';
+
+const articles = listArticles();
+const searchIndex = buildSearchIndex(articles);
+let filterState = readArticleFilters();
+
+// One toggle button per value, plus "All" to clear the filter
+function renderChips(container, key, facets, allLabel) {
+  if (!container) return;
+
+  const chips = [{ value: '', label: allLabel }, ...facets.map(({ value, count }) => ({ value, label: `${value} (${count})` }))];
+
+  container.replaceChildren(...chips.map(({ value, label }) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'article-chip';
+    chip.dataset.filter = key;
+    chip.dataset.value = value;
+    chip.textContent = label;
+    chip.setAttribute('aria-pressed', String(value.toLowerCase() === filterState[key].toLowerCase()));
+    return chip;
+  }));
+}
+
+function renderFilters() {
+  renderChips(document.getElementById('category-chips'), 'category',
+    articleFacet(articles, article => [article.category]), 'All categories');
+  renderChips(document.getElementById('tag-chips'), 'tag',
+    articleFacet(articles, article => article.tags || []), 'All tags');
+}
+
+function renderArticles() {
+  const grid = document.getElementById('articles-grid');
+  const count = document.getElementById('articles-count');
+  const words = searchWords(filterState.q);
+  const matches = filterArticles(searchIndex, filterState);
+
+  grid.replaceChildren(...matches.map(entry => createArticleCard(entry.article, 'article-grid-card', {
+    words,
+    // Show where the words were found; the subtitle when only it matched
+    excerpt: words.length ? matchExcerpt(entry, words) || entry.text.subtitle : '',
+    showTags: true
+  })));
+
+  const filtered = Object.values(filterState).some(Boolean);
+  count.textContent = filtered
+    ? `${matches.length} of ${articles.length} articles match`
+    : `${articles.length} articles`;
+  document.getElementById('articles-empty').hidden = matches.length > 0;
+}
+
+function applyArticleFilters() {
+  writeQueryState(filterState);
+  renderFilters();
+  renderArticles();
+}
+
+function initArticlesPage() {
+  const searchInput = document.getElementById('article-search');
+  searchInput.value = filterState.q;
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      filterState.q = searchInput.value.trim();
+      applyArticleFilters();
+    }, 150);
+  });
+
+  // Chips are rebuilt on every change, so listen on the toolbar
+  document.getElementById('articles-toolbar').addEventListener('click', (e) => {
+    const chip = e.target.closest('.article-chip');
+    if (!chip) return;
+
+    // Pressing the active chip again turns it off
+    const { filter, value } = chip.dataset;
+    filterState[filter] = chip.getAttribute('aria-pressed') === 'true' ? '' : value;
+    applyArticleFilters();
+  });
+
+  document.getElementById('articles-reset').addEventListener('click', () => {
+    filterState = emptyArticleFilters();
+    searchInput.value = '';
+    applyArticleFilters();
+  });
+
+  renderFilters();
+  renderArticles();
+}
+
+initArticlesPage();
@@ -0,0 +1,112 @@
+// ===================================
+// AUTHOR PROFILES
+// ===================================
+// Writers from the authors registry (authors/*.md, compiled into
+// articles-data.js): avatars, linked bylines and the profile cards shown at
+// the end of article.html and at the top of author.html.
+
+import { getAuthor } from './articles-data.js';
+import { listArticles } from './article-listings.js';
+
+export function authorLink(id) {
+  return `author.html?id=${encodeURIComponent(id)}`;
+}
+
+// { id, ...author } for each writer of an article, in byline order
+export function articleAuthors(article) {
+  return (article.authors || [])
+    .filter(id => getAuthor(id))
+    .map(id => ({ id, ...getAuthor(id) }));
+}
+
+// Everything an author wrote or co-wrote, newest first
+export function articlesByAuthor(id) {
+  return listArticles().filter(article => (article.authors || []).includes(id));
+}
+
+// "From Almaty · Lives in South Korea"; '' when neither is known
+export function authorOrigin(author) {
+  return [
+    author.region && `From ${author.region}`,
+    author.country && `Lives in ${author.country}`
+  ].filter(Boolean).join(' · ');
+}
+
+// The author's photo, or their initial on the site gradient
+export function createAuthorAvatar(author) {
+  const avatar = document.createElement('div');
+  avatar.className = 'author-avatar';
+
+  if (author.photo) {
+    const photo = document.createElement('img');
+    photo.src = author.photo;
+    photo.alt = author.name;
+    avatar.appendChild(photo);
+  } else {
+    avatar.textContent = author.initial;
+  }
+
+  return avatar;
+}
+
+// "By A & B", each name linking to its author page
+export function appendByline(element, authors) {
+  element.replaceChildren('By ');
+
+  authors.forEach((author, i) => {
+    if (i > 0) element.append(i === authors.length - 1 ? ' & ' : ', ');
+
+    const link = document.createElement('a');
+    link.href = authorLink(author.id);
+    link.textContent = author.name;
+    element.appendChild(link);
+  });
+}
+
+// Avatar, name, origin, bio and links. On author.html the card is the page's
+// subject, so the name isn't a link back to it.
+export function createAuthorCard(author, { linkName = true } = {}) {
+  const card = document.createElement('article');
+  card.className = 'author-card';
+
+  const body = document.createElement('div');
+  body.className = 'author-card-body';
+
+  const name = document.createElement(linkName ? 'a' : 'span');
+  name.className = 'author-card-name';
+  name.textContent = author.name;
+  if (linkName) name.href = authorLink(author.id);
+  body.appendChild(name);
+
+  const origin = authorOrigin(author);
+  if (origin) {
+    const line = document.createElement('p');
+    line.className = 'author-card-origin';
+    line.textContent = origin;
+    body.appendChild(line);
+  }
+
+  // Compiled from the registry's Markdown, which escapes any raw HTML
+  const bio = document.createElement('div');
+  bio.className = 'author-card-bio';
+  bio.innerHTML = author.bio;
+  body.appendChild(bio);
+
+  if (author.links.length > 0) {
+    const links = document.createElement('div');
+    links.className = 'author-card-links';
+    links.append(...author.links.map(({ href, label }) => {
+      const link = document.createElement('a');
+      link.className = 'author-card-link';
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = label;
+      return link;
+    }));
+    body.appendChild(links);
+  }
+
+  card.append(createAuthorAvatar(author), body);
+  return card;
+}
@@ -0,0 +1,104 @@
+// ===================================
+// CONSENT PARSING
+// ===================================
+// Only explicit answers count. The form may offer trilingual options such as
+// "Yes / Да / Иә", so each slash-separated part is classified on its own and
+// all parts must agree. Anything we don't recognise is treated as no consent.
+
+export const CONSENT_LEVELS = {
+  FULL: 'full',           // show the whole story
+  ANONYMOUS: 'anonymous', // show the story without name, photo or links
+  CITY: 'city'            // show only that a student lives in this city
+};
+
+export const DECLINED = 'declined';
+
+// Patterns are matched against the whole normalised part (see normalizeAnswer)
+const ANSWER_PATTERNS = [
+  {
+    level: CONSENT_LEVELS.FULL,
+    patterns: [
+      /^(yes|да|иә|иа|ия)$/,
+      /^yes i (consent|agree)$/,
+      /^да я (согласен|согласна)$/,
+      /^иә (мен )?келісемін$/
+    ]
+  },
+  {
+    level: CONSENT_LEVELS.ANONYMOUS,
+    patterns: [
+      /^(yes )?(show )?(only )?(without (my )?name|anonymous(ly)?)$/,
+      /^(да )?(показывать )?(только )?(без (моего )?имени|анонимно)$/,
+      /^(иә )?(көрсету )?(тек )?(атымсыз|есімсіз|анонимді)$/
+    ]
+  },
+  {
+    level: CONSENT_LEVELS.CITY,
+    patterns: [
+      /^(yes )?(show )?((my )?city only|only (my )?city)$/,
+      /^(да )?(показывать )?только (мой )?город$/,
+      /^(иә )?(көрсету )?тек қала(ны)?( ғана)?$/
+    ]
+  },
+  {
+    level: DECLINED,
+    patterns: [/^(no|нет|жоқ)$/]
+  }
+];
+
+// "  Yes, show WITHOUT my name! " -> "yes show without my name"
+function normalizeAnswer(answer) {
+  return answer
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function classifyPart(part) {
+  const normalized = normalizeAnswer(part);
+  const match = ANSWER_PATTERNS.find(({ patterns }) => patterns.some(pattern => pattern.test(normalized)));
+  return match ? match.level : null;
+}
+
+// Classify a consent answer: a CONSENT_LEVELS value, 'declined', or null if unknown
+export function parseConsent(value) {
+  const parts = String(value || '').split('/').filter(part => part.trim().length > 0);
+  if (parts.length === 0) return null;
+
+  const levels = new Set(parts.map(classifyPart));
+  if (levels.size !== 1 || levels.has(null)) return null;
+
+  return [...levels][0];
+}
+
+export function isPublishable(level) {
+  return Object.values(CONSENT_LEVELS).includes(level);
+}
+
+// Fields each partial level may keep; everything else is blanked
+const ANONYMOUS_HIDDEN = ['fullName', 'age', 'photo', 'socialMedia'];
+const CITY_KEPT = ['id', 'city', 'country', 'lat', 'lon', 'timestamp'];
+const ANONYMOUS_NAME = 'Anonymous student';
+
+// Apply a consent level to a record before it is published
+export function applyConsentLevel(record, level) {
+  const limited = { ...record, consentLevel: level };
+
+  if (level === CONSENT_LEVELS.ANONYMOUS) {
+    ANONYMOUS_HIDDEN.forEach(field => { limited[field] = ''; });
+    limited.fullName = ANONYMOUS_NAME;
+  }
+
+  if (level === CONSENT_LEVELS.CITY) {
+    Object.keys(limited).forEach(field => {
+      if (!CITY_KEPT.includes(field) && field !== 'consentLevel' && typeof limited[field] === 'string') {
+        limited[field] = '';
+      }
+    });
+    limited.fullName = ANONYMOUS_NAME;
+  }
+
+  return limited;
+}
@@ -0,0 +1,385 @@
+// ===================================
+// COUNTRIES
+// ===================================
+// Survey answers name countries in many ways ("USA", "Korea", "Türkiye",
+// "Seoul, South Korea", "Германия"). Everything resolves to one display name
+// here, which is also the key for the bundled boundaries in
+// data/countries-110m.json (Natural Earth 1:110m via the world-atlas package,
+// public domain). No network lookups are needed to highlight a country. At
+// this scale the smallest countries and territories have no shape, so they
+// can't be highlighted or shaded; their stories still resolve and are placed.
+
+import { topoFeatures } from './topojson.js';
+
+const BOUNDARIES_URL = 'data/countries-110m.json';
+
+// [display name, ...other spellings]; the world map's own names are included
+const COUNTRY_NAMES = [
+  ['Afghanistan'],
+  ['Åland', 'Aland Islands'],
+  ['Albania'],
+  ['Algeria'],
+  ['American Samoa'],
+  ['Andorra'],
+  ['Angola'],
+  ['Anguilla'],
+  ['Antarctica'],
+  ['Antigua and Barbuda', 'Antigua and Barb.'],
+  ['Argentina'],
+  ['Armenia', 'Армения'],
+  ['Aruba'],
+  ['Ashmore and Cartier Islands', 'Ashmore and Cartier Is.'],
+  ['Australia', 'Австралия'],
+  ['Austria', 'Австрия'],
+  ['Azerbaijan', 'Азербайджан'],
+  ['Bahamas', 'The Bahamas'],
+  ['Bahrain'],
+  ['Bangladesh'],
+  ['Barbados'],
+  ['Belarus', 'Беларусь'],
+  ['Belgium', 'Бельгия'],
+  ['Belize'],
+  ['Benin'],
+  ['Bermuda'],
+  ['Bhutan'],
+  ['Bolivia', 'Plurinational State of Bolivia'],
+  ['Bosnia and Herzegovina', 'Bosnia and Herz.'],
+  ['Botswana'],
+  ['British Indian Ocean Territory', 'Br. Indian Ocean Ter.'],
+  ['Brazil', 'Бразилия'],
+  ['British Virgin Islands', 'British Virgin Is.'],
+  ['Brunei', 'Brunei Darussalam'],
+  ['Bulgaria', 'Болгария'],
+  ['Burkina Faso'],
+  ['Burundi'],
+  ['Cabo Verde', 'Cape Verde'],
+  ['Cambodia'],
+  ['Cameroon'],
+  ['Canada', 'Канада'],
+  ['Cayman Islands', 'Cayman Is.'],
+  ['Central African Republic', 'Central African Rep.'],
+  ['Chad'],
+  ['Chile'],
+  ['China', 'PRC', 'People\'s Republic of China', 'Mainland China', 'Китай', 'Қытай'],
+  ['Colombia'],
+  ['Comoros'],
+  ['Congo', 'Republic of the Congo', 'Congo-Brazzaville'],
+  ['Cook Islands', 'Cook Is.'],
+  ['Costa Rica'],
+  ['Côte d\'Ivoire', 'Ivory Coast'],
+  ['Croatia'],
+  ['Cuba'],
+  ['Curaçao'],
+  ['Cyprus'],
+  ['Czechia', 'Czech Republic', 'Чехия'],
+  ['DR Congo', 'Dem. Rep. Congo', 'Democratic Republic of the Congo', 'DRC', 'Congo-Kinshasa'],
+  ['Denmark', 'Дания'],
+  ['Djibouti'],
+  ['Dominica'],
+  ['Dominican Republic', 'Dominican Rep.'],
+  ['Ecuador'],
+  ['Egypt', 'Египет'],
+  ['El Salvador'],
+  ['Equatorial Guinea', 'Eq. Guinea'],
+  ['Eritrea'],
+  ['Estonia', 'Эстония'],
+  ['Eswatini', 'eSwatini', 'Swaziland'],
+  ['Ethiopia'],
+  ['Faroe Islands', 'Faeroe Is.'],
+  ['Falkland Islands', 'Falkland Is.'],
+  ['Fiji'],
+  ['Finland', 'Финляндия'],
+  ['French Polynesia', 'Fr. Polynesia'],
+  ['French Southern Territories', 'Fr. S. Antarctic Lands'],
+  ['France', 'Франция'],
+  ['Gabon'],
+  ['Gambia', 'The Gambia'],
+  ['Georgia', 'Грузия'],
+  ['Germany', 'Deutschland', 'Германия'],
+  ['Ghana'],
+  ['Greece', 'Греция'],
+  ['Greenland'],
+  ['Grenada'],
+  ['Guam'],
+  ['Guatemala'],
+  ['Guernsey'],
+  ['Guinea'],
+  ['Guinea-Bissau'],
+  ['Guyana'],
+  ['Haiti'],
+  ['Heard Island and McDonald Islands', 'Heard I. and McDonald Is.'],
+  ['Honduras'],
+  ['Hong Kong', 'HK', 'Hong Kong SAR', 'Hong Kong SAR China', 'Гонконг'],
+  ['Hungary', 'Венгрия'],
+  ['Iceland'],
+  ['India', 'Индия'],
+  ['Australian Indian Ocean Territories', 'Indian Ocean Ter.'],
+  ['Indonesia', 'Индонезия'],
+  ['Iran', 'Islamic Republic of Iran'],
+  ['Iraq'],
+  ['Ireland', 'Republic of Ireland', 'Ирландия'],
+  ['Isle of Man'],
+  ['Israel', 'Израиль'],
+  ['Italy', 'Италия'],
+  ['Jamaica'],
+  ['Japan', 'Япония'],
+  ['Jersey'],
+  ['Jordan'],
+  ['Kazakhstan', 'Казахстан', 'Қазақстан'],
+  ['Kenya'],
+  ['Kiribati'],
+  ['Kosovo'],
+  ['Kuwait'],
+  ['Kyrgyzstan', 'Kyrgyz Republic', 'Кыргызстан', 'Киргизия', 'Қырғызстан'],
+  ['Laos', 'Lao PDR'],
+  ['Latvia', 'Латвия'],
+  ['Lebanon'],
+  ['Lesotho'],
+  ['Liberia'],
+  ['Libya'],
+  ['Liechtenstein'],
+  ['Lithuania', 'Литва'],
+  ['Luxembourg'],
+  ['Macao', 'Macau', 'Macao SAR China'],
+  ['North Macedonia', 'Macedonia'],
+  ['Madagascar'],
+  ['Malawi'],
+  ['Malaysia', 'Малайзия'],
+  ['Maldives'],
+  ['Mali'],
+  ['Malta'],
+  ['Marshall Islands', 'Marshall Is.'],
+  ['Mauritania'],
+  ['Mauritius'],
+  ['Mexico', 'Мексика'],
+  ['Micronesia', 'Federated States of Micronesia'],
+  ['Moldova', 'Republic of Moldova'],
+  ['Monaco'],
+  ['Mongolia', 'Монголия'],
+  ['Montenegro'],
+  ['Montserrat'],
+  ['Morocco'],
+  ['Mozambique'],
+  ['Myanmar', 'Burma'],
+  ['Northern Cyprus', 'N. Cyprus'],
+  ['Northern Mariana Islands', 'N. Mariana Is.'],
+  ['Namibia'],
+  ['Nauru'],
+  ['Nepal'],
+  ['Netherlands', 'Holland', 'Нидерланды'],
+  ['New Caledonia'],
+  ['New Zealand', 'Новая Зеландия'],
+  ['Nicaragua'],
+  ['Niger'],
+  ['Nigeria'],
+  ['Niue'],
+  ['Norfolk Island'],
+  ['North Korea', 'DPRK', 'Democratic People\'s Republic of Korea'],
+  ['Norway', 'Норвегия'],
+  ['Oman'],
+  ['Pakistan'],
+  ['Palau'],
+  ['Palestine', 'State of Palestine', 'Palestinian Territories'],
+  ['Panama'],
+  ['Papua New Guinea'],
+  ['Paraguay'],
+  ['Peru'],
+  ['Philippines'],
+  ['Pitcairn Islands', 'Pitcairn Is.'],
+  ['Poland', 'Польша'],
+  ['Portugal', 'Португалия'],
+  ['Puerto Rico'],
+  ['Qatar', 'Катар'],
+  ['Romania', 'Румыния'],
+  ['Russia', 'Russian Federation', 'Россия', 'Ресей'],
+  ['Rwanda'],
+  ['South Georgia and the South Sandwich Islands', 'S. Geo. and the Is.'],
+  ['South Sudan', 'S. Sudan'],
+  ['Saint Helena'],
+  ['Saint Lucia', 'St. Lucia'],
+  ['Samoa'],
+  ['San Marino'],
+  ['São Tomé and Principe'],
+  ['Saudi Arabia', 'KSA', 'Саудовская Аравия'],
+  ['Senegal'],
+  ['Serbia', 'Сербия'],
+  ['Seychelles'],
+  ['Siachen Glacier'],
+  ['Sierra Leone'],
+  ['Singapore', 'Сингапур'],
+  ['Sint Maarten'],
+  ['Slovakia', 'Словакия'],
+  ['Slovenia'],
+  ['Solomon Islands', 'Solomon Is.'],
+  ['Somalia'],
+  ['Somaliland'],
+  ['South Africa'],
+  ['South Korea', 'Korea', 'Republic of Korea', 'Korea, Republic of', 'Корея', 'Южная Корея', 'Оңтүстік Корея'],
+  ['Spain', 'Испания'],
+  ['Sri Lanka'],
+  ['Saint Barthélemy', 'St-Barthélemy'],
+  ['Saint Martin', 'St-Martin'],
+  ['Saint Kitts and Nevis', 'St. Kitts and Nevis'],
+  ['Saint Pierre and Miquelon', 'St. Pierre and Miquelon'],
+  ['Saint Vincent and the Grenadines', 'St. Vin. and Gren.', 'St. Vincent & Grenadines'],
+  ['Sudan'],
+  ['Suriname'],
+  ['Sweden', 'Швеция'],
+  ['Switzerland', 'Швейцария'],
+  ['Syria', 'Syrian Arab Republic'],
+  ['Taiwan', 'Republic of China', 'Тайвань'],
+  ['Tajikistan', 'Таджикистан'],
+  ['Tanzania', 'United Republic of Tanzania'],
+  ['Thailand', 'Таиланд'],
+  ['Timor-Leste', 'East Timor'],
+  ['Togo'],
+  ['Tonga'],
+  ['Trinidad and Tobago'],
+  ['Tunisia'],
+  ['Turkey', 'Türkiye', 'Turkiye', 'Турция', 'Түркия'],
+  ['Turkmenistan', 'Туркменистан'],
+  ['Turks and Caicos Islands', 'Turks and Caicos Is.'],
+  ['U.S. Virgin Islands', 'U.S. Virgin Is.'],
+  ['Uganda'],
+  ['Ukraine', 'Украина'],
+  ['United Arab Emirates', 'UAE', 'U.A.E.', 'Emirates', 'ОАЭ', 'БАӘ'],
+  ['United Kingdom', 'UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland', 'Великобритания', 'Англия', 'Ұлыбритания'],
+  ['United States', 'United States of America', 'USA', 'US', 'U.S.', 'U.S.A.', 'America', 'США', 'Америка', 'АҚШ'],
+  ['Uruguay'],
+  ['Uzbekistan', 'Узбекистан', 'Өзбекстан'],
+  ['Vanuatu'],
+  ['Vatican', 'Holy See', 'Vatican City'],
+  ['Venezuela', 'Bolivarian Republic of Venezuela'],
+  ['Vietnam', 'Viet Nam'],
+  ['Western Sahara', 'W. Sahara'],
+  ['Wallis and Futuna', 'Wallis and Futuna Is.'],
+  ['Yemen'],
+  ['Zambia'],
+  ['Zimbabwe']
+];
+
+// "The Czech Republic!" -> "czech republic"; accents and punctuation don't matter
+export function normalizeCountryKey(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+const COUNTRY_LOOKUP = new Map();
+COUNTRY_NAMES.forEach(([displayName, ...aliases]) => {
+  [displayName, ...aliases].forEach(name => {
+    COUNTRY_LOOKUP.set(normalizeCountryKey(name), displayName);
+  });
+});
+
+// Display name for a free-text country answer, or null if it isn't recognised.
+// "Seoul, South Korea" works too: each part is tried from the end.
+export function resolveCountry(answer) {
+  const whole = COUNTRY_LOOKUP.get(normalizeCountryKey(answer));
+  if (whole) return whole;
+
+  const parts = String(answer || '').split(/[,/()]|\s[-–—]\s/).reverse();
+  for (const part of parts) {
+    const match = COUNTRY_LOOKUP.get(normalizeCountryKey(part));
+    if (match) return match;
+  }
+
+  return null;
+}
+
+// The country a student lives in, resolved where possible
+export function recordCountry(record) {
+  return resolveCountry(record.country) || String(record.country || '').trim();
+}
+
+// Decode the boundaries TopoJSON into Map(display name -> feature)
+export function indexCountryBoundaries(topology) {
+  const boundaries = new Map();
+  topoFeatures(topology, 'countries').forEach(feature => {
+    const name = resolveCountry(feature.properties.name);
+    if (!name || !feature.geometry) return;
+
+    feature.properties.name = name;
+    boundaries.set(name, feature);
+  });
+  return boundaries;
+}
+
+let boundariesPromise = null;
+
+// Load and decode the bundled boundaries once; resolves to Map(display name -> feature)
+export function loadCountryBoundaries() {
+  if (!boundariesPromise) {
+    boundariesPromise = fetch(BOUNDARIES_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(indexCountryBoundaries)
+      .catch(error => {
+        // Allow a later retry instead of caching the failure
+        boundariesPromise = null;
+        throw error;
+      });
+  }
+
+  return boundariesPromise;
+}
+
+export async function countryBoundary(countryName) {
+  const boundaries = await loadCountryBoundaries();
+  return boundaries.get(countryName) || null;
+}
+
+// Rings that cross the antimeridian jump between +180 and -180; make them continuous
+function unwrapRing(ring) {
+  let offset = 0;
+  return ring.map(([lon, lat], i) => {
+    if (i > 0) {
+      const step = lon - ring[i - 1][0];
+      if (step > 180) offset -= 360;
+      if (step < -180) offset += 360;
+    }
+    return [lon + offset, lat];
+  });
+}
+
+// Signed area and centroid of one ring, treating lon/lat as planar
+function ringCentroid(rawRing) {
+  const ring = unwrapRing(rawRing);
+  let area = 0;
+  let x = 0;
+  let y = 0;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    area += cross;
+    x += (ring[j][0] + ring[i][0]) * cross;
+    y += (ring[j][1] + ring[i][1]) * cross;
+  }
+
+  area /= 2;
+  return area ? { area, lon: x / (6 * area), lat: y / (6 * area) } : null;
+}
+
+// A representative [lat, lon] for a country: the centroid of its largest
+// polygon, so France lands in Europe rather than between its territories
+export function countryCentroid(feature) {
+  if (!feature || !feature.geometry) return null;
+
+  const { type, coordinates } = feature.geometry;
+  const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+
+  let best = null;
+  polygons.forEach(([outerRing]) => {
+    const centroid = ringCentroid(outerRing);
+    if (centroid && (!best || Math.abs(centroid.area) > Math.abs(best.area))) best = centroid;
+  });
+
+  return best ? [best.lat, ((best.lon + 540) % 360) - 180] : null;
+}
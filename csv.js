@@ -0,0 +1,66 @@
+// ===================================
+// CSV READER
+// ===================================
+// Small RFC 4180 reader for the Google Sheets export. Works the same in the
+// browser and in Node, so the build script needs no dependencies.
+
+// Split CSV text into rows of raw string cells
+function readRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Parse CSV text with a header row into { fields, rows }, where each row is
+// an object keyed by the (untouched) header text. Blank lines are skipped.
+export function parseCSVText(csvText) {
+  const [fields = [], ...lines] = readRows(String(csvText || '').replace(/^\uFEFF/, ''));
+
+  const rows = lines
+    .filter(cells => cells.some(value => value.trim().length > 0))
+    .map(cells => {
+      const row = {};
+      fields.forEach((field, index) => {
+        row[field] = cells[index] ?? '';
+      });
+      return row;
+    });
+
+  return { fields, rows };
+}
@@ -0,0 +1,33 @@
+// ===================================
+// OFFLINE STUDENT DATA
+// ===================================
+// The last dataset this browser loaded, kept in localStorage so the globe can
+// render straight away while data/students.json refreshes in the background.
+
+import { SCHEMA_VERSION } from './student-schema.js';
+
+const CACHE_KEY = `rr-student-data-v${SCHEMA_VERSION}`;
+
+// Returns { records, savedAt, source } or null when nothing usable is stored
+export function readCache() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    if (!cached || !Array.isArray(cached.records) || cached.records.length === 0) return null;
+
+    return { records: cached.records, savedAt: cached.savedAt, source: 'cache' };
+  } catch (error) {
+    // Private browsing, disabled storage or a corrupted entry
+    return null;
+  }
+}
+
+export function writeCache(records) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      records
+    }));
+  } catch (error) {
+    console.warn('Could not cache student data:', error.message);
+  }
+}
@@ -0,0 +1,142 @@
+// ===================================
+// GEOCODING FROM CITY AND COUNTRY ANSWERS
+// ===================================
+// Rows without usable Latitude/Longitude are placed from their free-text city
+// answer using the bundled gazetteer (data/cities.json, built by
+// scripts/build-gazetteer.mjs). A coordinate of 0 is a real place; only
+// blanks, unparseable values and the 0,0 default count as missing.
+
+import { normalizeCountryKey, resolveCountry } from './countries.js';
+
+export const GAZETTEER_URL = 'data/cities.json';
+
+// Survey coordinate cell -> number, or null when blank or not a coordinate
+export function parseCoordinate(value) {
+  const text = String(value ?? '').trim().replace(',', '.');
+  if (text === '') return null;
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+// True when a record carries a plottable position
+export function hasCoordinates(record) {
+  const { lat, lon } = record;
+  if (typeof lat !== 'number' || typeof lon !== 'number') return false;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+
+  // A blank form field often arrives as 0,0 ("Null Island"); nobody lives there
+  return lat !== 0 || lon !== 0;
+}
+
+// Index the gazetteer document by every normalised name and alias, and note
+// each country's largest city
+export function createGazetteer(document) {
+  const byName = new Map();
+  const largestByCountry = new Map();
+
+  document.cities.forEach(([name, code, lat, lon, population, aliases = []]) => {
+    // Resolved again so names added to countries.js since the build still match
+    const country = document.countries[code] || code;
+    const city = { name, country: resolveCountry(country) || country, lat, lon, population };
+
+    const largest = largestByCountry.get(city.country);
+    if (!largest || population > largest.population) largestByCountry.set(city.country, city);
+
+    new Set([name, ...aliases].map(normalizeCountryKey)).forEach(key => {
+      if (!key) return;
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(city);
+    });
+  });
+
+  return { byName, largestByCountry };
+}
+
+let gazetteerPromise = null;
+
+// Browser side: fetch and index the gazetteer once
+export function loadGazetteer() {
+  if (!gazetteerPromise) {
+    gazetteerPromise = fetch(GAZETTEER_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(createGazetteer)
+      .catch(error => {
+        gazetteerPromise = null;
+        throw error;
+      });
+  }
+
+  return gazetteerPromise;
+}
+
+// "Boston, MA" or "Seoul (South Korea)" -> candidate city names, most specific first
+function cityCandidates(answer) {
+  const text = String(answer || '').trim();
+  if (!text) return [];
+
+  return [text, ...text.split(/[,/()]|\s[-–—]\s/)]
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// Best gazetteer match for a record's city, preferring its stated country
+export function findCity(gazetteer, cityAnswer, countryAnswer) {
+  const country = resolveCountry(countryAnswer) || resolveCountry(cityAnswer);
+
+  for (const candidate of cityCandidates(cityAnswer)) {
+    const matches = gazetteer.byName.get(normalizeCountryKey(candidate));
+    if (!matches) continue;
+
+    // Lists are ordered by population, so the first match is the likeliest place
+    const match = country ? matches.find(city => city.country === country) : matches[0];
+    if (match) return match;
+  }
+
+  return null;
+}
+
+// Why a record could not be placed, for the build report
+function unplacedReason(record) {
+  if (!String(record.city || '').trim()) return 'no city';
+  return resolveCountry(record.country) ? 'city not in gazetteer' : 'unknown city and country';
+}
+
+// Fill missing coordinates. Every record gets a locationSource ('survey',
+// 'gazetteer' or '' when unplaced); unplaced rows are listed for review.
+export function geocodeRecords(records, gazetteer) {
+  const unplaced = [];
+
+  const placed = records.map(record => {
+    if (hasCoordinates(record)) {
+      return { ...record, locationSource: 'survey' };
+    }
+
+    const city = findCity(gazetteer, record.city, record.country);
+    if (!city) {
+      unplaced.push({ id: record.id, city: record.city, country: record.country, reason: unplacedReason(record) });
+      return { ...record, lat: null, lon: null, locationSource: '' };
+    }
+
+    return { ...record, lat: city.lat, lon: city.lon, locationSource: 'gazetteer' };
+  });
+
+  return { records: placed, unplaced };
+}
+
+// Log how rows were placed, listing the ones that will not appear on the map
+export function reportGeocoding({ records, unplaced }) {
+  const fromGazetteer = records.filter(record => record.locationSource === 'gazetteer').length;
+  console.log(`Placed ${records.length - unplaced.length} of ${records.length} stories (${fromGazetteer} from the city name)`);
+
+  if (unplaced.length > 0) {
+    console.warn(`${unplaced.length} stories could not be placed and will not appear on the map:`);
+    unplaced.forEach(({ id, city, country, reason }) => {
+      console.warn(`  ${id}: "${city || ''}", "${country || ''}" (${reason})`);
+    });
+  }
+}
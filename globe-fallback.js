@@ -0,0 +1,219 @@
+// ===================================
+// STATIC GLOBE FALLBACK
+// ===================================
+// Used instead of the WebGL globe when WebGL is unavailable or the visitor
+// prefers reduced motion: an orthographic world map on a 2D canvas with the
+// same story markers, tooltips and clicks. Nothing animates; dragging turns
+// the map and redraws it once per frame. Same controller interface as globe.js.
+
+import { hasCoordinates } from './geocode.js';
+import { loadCountryBoundaries } from './countries.js';
+import { trackGlobeDrag, bindGlobeInteraction } from './globe.js';
+
+const MAX_PIXEL_RATIO = 2;
+const DRAG_DEGREES_PER_PX = 0.3;
+const MARKER_RADIUS = 4;
+const MARKER_HIT_RADIUS = 9;
+
+const OCEAN_COLOR = '#3d6fa8';
+const LAND_COLOR = '#d9ecff';
+const BORDER_COLOR = 'rgba(61, 111, 168, 0.6)';
+const MARKER_COLOR = '#667eea';
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+export function createFallbackGlobe(container, options) {
+  const canvas = document.createElement('canvas');
+  canvas.id = 'globe-canvas';
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', 'World map of student stories');
+  container.appendChild(canvas);
+  container.classList.add('globe-static');
+
+  const context = canvas.getContext('2d');
+
+  // Start centred near Kazakhstan
+  const view = { lat: 35, lon: 68 };
+  let stories = [];
+  let boundaries = null;
+  let markerPoints = [];
+  let queuedFrame = null;
+  let size = 0;
+
+  // Orthographic projection onto the unit disc; z < 0 is the far side
+  function project(lat, lon) {
+    const phi = toRadians(lat);
+    const lambda = toRadians(lon - view.lon);
+    const phi0 = toRadians(view.lat);
+
+    return {
+      x: Math.cos(phi) * Math.sin(lambda),
+      y: Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(lambda),
+      z: Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(lambda)
+    };
+  }
+
+  const toCanvas = ({ x, y }) => [size / 2 + x * size / 2, size / 2 - y * size / 2];
+
+  // Far-side points are pushed out to the horizon, so a country crossing it
+  // still fills up to the edge of the disc
+  function traceRing(ring) {
+    const points = ring.map(([lon, lat]) => project(lat, lon));
+    if (!points.some(point => point.z >= 0)) return false;
+
+    points.forEach((point, i) => {
+      let { x, y } = point;
+      if (point.z < 0) {
+        const length = Math.hypot(x, y) || 1;
+        x /= length;
+        y /= length;
+      }
+      const [cx, cy] = toCanvas({ x, y });
+      if (i === 0) {
+        context.moveTo(cx, cy);
+      } else {
+        context.lineTo(cx, cy);
+      }
+    });
+    context.closePath();
+    return true;
+  }
+
+  function drawCountries() {
+    context.fillStyle = LAND_COLOR;
+    context.strokeStyle = BORDER_COLOR;
+    context.lineWidth = 0.5;
+
+    boundaries.forEach(feature => {
+      const { type, coordinates } = feature.geometry;
+      const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+
+      context.beginPath();
+      const drawn = polygons.map(([outerRing]) => traceRing(outerRing)).some(Boolean);
+      if (drawn) {
+        context.fill();
+        context.stroke();
+      }
+    });
+  }
+
+  function drawMarkers() {
+    markerPoints = [];
+    context.fillStyle = MARKER_COLOR;
+    context.strokeStyle = 'white';
+    context.lineWidth = 1.5;
+
+    stories.forEach(story => {
+      const point = project(story.lat, story.lon);
+      if (point.z < 0) return;
+
+      const [x, y] = toCanvas(point);
+      context.beginPath();
+      context.arc(x, y, MARKER_RADIUS, 0, 2 * Math.PI);
+      context.fill();
+      context.stroke();
+      markerPoints.push({ id: story.id, x, y });
+    });
+  }
+
+  function draw() {
+    const ratio = canvas.width / (size || 1);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, size, size);
+
+    context.beginPath();
+    context.arc(size / 2, size / 2, size / 2, 0, 2 * Math.PI);
+    context.fillStyle = OCEAN_COLOR;
+    context.fill();
+
+    if (boundaries) drawCountries();
+    drawMarkers();
+  }
+
+  function scheduleDraw() {
+    if (queuedFrame !== null) return;
+
+    queuedFrame = requestAnimationFrame(() => {
+      queuedFrame = null;
+      draw();
+    });
+  }
+
+  // Match the canvas to the container at the screen's pixel density
+  function resize() {
+    size = Math.min(container.clientWidth, container.clientHeight);
+    if (!size) return;
+
+    const ratio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+    canvas.width = Math.round(size * ratio);
+    canvas.height = Math.round(size * ratio);
+    draw();
+  }
+
+  // Nearest visible marker within reach of the pointer
+  function pickStory(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const scale = size / (rect.width || 1);
+    const x = (clientX - rect.left) * scale;
+    const y = (clientY - rect.top) * scale;
+
+    let nearest = null;
+    let nearestDistance = MARKER_HIT_RADIUS;
+    markerPoints.forEach(point => {
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance <= nearestDistance) {
+        nearest = point;
+        nearestDistance = distance;
+      }
+    });
+    return nearest ? nearest.id : null;
+  }
+
+  const drag = trackGlobeDrag(container, (dx, dy) => {
+    view.lon -= dx * DRAG_DEGREES_PER_PX;
+    view.lat = Math.max(-80, Math.min(80, view.lat + dy * DRAG_DEGREES_PER_PX));
+    scheduleDraw();
+  });
+  const unbindInteraction = bindGlobeInteraction(container, { ...options, pickStory, drag });
+  const resizeObserver = 'ResizeObserver' in window ? new ResizeObserver(resize) : null;
+  if (resizeObserver) resizeObserver.observe(container);
+  window.addEventListener('resize', resize);
+
+  // Countries arrive later; markers are useful on the plain disc meanwhile
+  loadCountryBoundaries()
+    .then(loaded => {
+      boundaries = loaded;
+      scheduleDraw();
+    })
+    .catch(error => console.warn('Country outlines unavailable:', error.message));
+
+  resize();
+
+  return {
+    kind: 'static',
+
+    setStories(records) {
+      stories = records.filter(hasCoordinates);
+      scheduleDraw();
+    },
+
+    // Nothing runs in the background, so there is nothing to pause
+    start() {
+      scheduleDraw();
+    },
+
+    stop() {},
+
+    resize,
+
+    dispose() {
+      if (queuedFrame !== null) cancelAnimationFrame(queuedFrame);
+      drag.dispose();
+      unbindInteraction();
+      if (resizeObserver) resizeObserver.disconnect();
+      window.removeEventListener('resize', resize);
+      container.classList.remove('globe-static');
+      canvas.remove();
+    }
+  };
+}
@@ -0,0 +1,744 @@
+// ===================================
+// 3D GLOBE WITH THREE.JS
+// ===================================
+// createGlobe() renders the hero globe into a container and returns a
+// controller: setStories() plots markers and migration arcs, start()/stop()
+// let the page pause it, and dispose() frees every GPU resource. The render
+// loop also pauses by itself while the tab is hidden or the globe is off-screen.
+// Check supportsWebGL() first; globe-fallback.js has the same interface.
+
+import * as THREE from 'three';
+import { hasCoordinates } from './geocode.js';
+import { KZ_REGIONS, resolveHomeRegion } from './kz-regions.js';
+
+// NASA Blue Marble and Black Marble imagery (public domain), small copy first
+const EARTH_TEXTURES = {
+  day: ['textures/earth-day-1k.jpg', 'textures/earth-day-4k.jpg'],
+  night: ['textures/earth-night-1k.jpg', 'textures/earth-night-4k.jpg']
+};
+
+// Ocean blue shown until the texture arrives, or instead of it if it can't load
+const EARTH_FALLBACK_COLOR = 0x3d6fa8;
+
+const DAY_NIGHT_STORAGE_KEY = 'rr-globe-day-night';
+
+// Pointer travel (px) after which a press counts as a drag, not a click
+const DRAG_THRESHOLD = 5;
+const DRAG_SPEED = 0.005;
+const AUTO_ROTATE_PER_MS = 0.00006;
+const MAX_PIXEL_RATIO = 2;
+
+const MARKER_PULSE_MS = 1200;
+const MARKER_PULSE_MAX = 1.3;
+
+// Migration arcs render on their own layer, which marker picking ignores
+const ARC_LAYER = 1;
+const ARC_SEGMENTS = 64;
+const ARC_COMET_LENGTH = 12;
+const ARC_TRAVEL_MS = 4000;
+
+export function supportsWebGL() {
+  try {
+    const canvas = document.createElement('canvas');
+    return Boolean(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Convert lat/lon to a point on (or above) the unit globe
+export function latLonToVector3(lat, lon, radius = 1) {
+  const phi = (90 - lat) * (Math.PI / 180);
+  const theta = (lon + 180) * (Math.PI / 180);
+
+  return new THREE.Vector3(
+    -(radius * Math.sin(phi) * Math.cos(theta)),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.sin(theta)
+  );
+}
+
+// Load each URL in turn (smallest first), handing over every texture that
+// arrives; onError only fires if none of them load
+function loadProgressiveTexture(urls, onTexture, onError) {
+  const loader = new THREE.TextureLoader();
+  let loadedAny = false;
+
+  const loadFrom = (index) => {
+    if (index >= urls.length) {
+      if (!loadedAny) onError();
+      return;
+    }
+
+    loader.load(urls[index], (texture) => {
+      loadedAny = true;
+      onTexture(texture);
+      loadFrom(index + 1);
+    }, undefined, () => loadFrom(index + 1));
+  };
+
+  loadFrom(0);
+}
+
+// Where the sun is overhead at a moment; ignoring the equation of time puts
+// the terminator at most ~4° of longitude out
+export function subsolarPoint(date = new Date()) {
+  const dayOfYear = (date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000;
+  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+  return {
+    lat: -23.44 * Math.cos((2 * Math.PI / 365) * (dayOfYear + 10)),
+    lon: -15 * (utcHours - 12)
+  };
+}
+
+// Day texture on the sunlit side, city lights on the night side, blended
+// across the terminator. Normals stay in the globe's own space, so the sun
+// direction doesn't change as the globe is dragged.
+function createDayNightMaterial() {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      dayTexture: { value: null },
+      nightTexture: { value: null },
+      hasDay: { value: false },
+      hasNight: { value: false },
+      fallbackColor: { value: new THREE.Color(EARTH_FALLBACK_COLOR) },
+      sunDirection: { value: new THREE.Vector3(1, 0, 0) }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      varying vec3 vNormal;
+
+      void main() {
+        vUv = uv;
+        vNormal = normal;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D dayTexture;
+      uniform sampler2D nightTexture;
+      uniform bool hasDay;
+      uniform bool hasNight;
+      uniform vec3 fallbackColor;
+      uniform vec3 sunDirection;
+      varying vec2 vUv;
+      varying vec3 vNormal;
+
+      void main() {
+        vec3 day = hasDay ? texture2D(dayTexture, vUv).rgb : fallbackColor;
+        vec3 night = hasNight ? texture2D(nightTexture, vUv).rgb : day * 0.15;
+        float light = dot(normalize(vNormal), sunDirection);
+
+        // Twilight is a soft band rather than a hard edge
+        float daylight = smoothstep(-0.15, 0.15, light);
+        gl_FragColor = vec4(mix(night, day * (0.75 + 0.25 * max(light, 0.0)), daylight), 1.0);
+
+        #include <colorspace_fragment>
+      }
+    `
+  });
+}
+
+// Points along the great circle between two places, lifted higher for longer routes
+function arcPoints(from, to) {
+  const start = latLonToVector3(from.lat, from.lon);
+  const end = latLonToVector3(to.lat, to.lon);
+  const angle = start.angleTo(end);
+  const height = 0.04 + 0.3 * (angle / Math.PI);
+
+  const points = [];
+  for (let i = 0; i <= ARC_SEGMENTS; i++) {
+    const t = i / ARC_SEGMENTS;
+
+    // Spherical interpolation; nearly identical points just interpolate linearly
+    const point = angle < 1e-6
+      ? start.clone().lerp(end, t)
+      : start.clone().multiplyScalar(Math.sin((1 - t) * angle) / Math.sin(angle))
+        .add(end.clone().multiplyScalar(Math.sin(t * angle) / Math.sin(angle)));
+
+    points.push(point.multiplyScalar(1.01 + height * Math.sin(Math.PI * t)));
+  }
+  return points;
+}
+
+// Show a student's name and city next to the pointer (or hide it for null)
+export function updateStoryTooltip(tooltip, student, clientX, clientY) {
+  if (!tooltip) return;
+
+  if (!student) {
+    tooltip.hidden = true;
+    return;
+  }
+
+  const name = document.createElement('span');
+  name.className = 'globe-tooltip-name';
+  name.textContent = student.fullName;
+
+  const place = document.createElement('span');
+  place.className = 'globe-tooltip-place';
+  place.textContent = [student.city, student.country].filter(Boolean).join(', ');
+
+  tooltip.replaceChildren(name, place);
+
+  const area = tooltip.parentElement.getBoundingClientRect();
+  tooltip.style.left = `${clientX - area.left}px`;
+  tooltip.style.top = `${clientY - area.top}px`;
+  tooltip.hidden = false;
+}
+
+// Mouse and touch dragging shared by both globes. onDrag gets the movement
+// since the last event; wasDrag() stays true until the click ending the press.
+export function trackGlobeDrag(container, onDrag) {
+  let dragging = false;
+  let moved = false;
+  let start = { x: 0, y: 0 };
+  let previous = { x: 0, y: 0 };
+
+  const begin = (x, y) => {
+    dragging = true;
+    moved = false;
+    start = { x, y };
+    previous = { x, y };
+  };
+
+  const move = (x, y) => {
+    if (!dragging) return;
+
+    onDrag(x - previous.x, y - previous.y);
+    previous = { x, y };
+    if (Math.hypot(x - start.x, y - start.y) > DRAG_THRESHOLD) {
+      moved = true;
+    }
+  };
+
+  const end = () => {
+    dragging = false;
+  };
+
+  const listeners = [
+    [container, 'mousedown', e => begin(e.clientX, e.clientY)],
+    [window, 'mousemove', e => move(e.clientX, e.clientY)],
+    [window, 'mouseup', end],
+    [container, 'touchstart', e => begin(e.touches[0].clientX, e.touches[0].clientY)],
+    [window, 'touchmove', e => { if (e.touches.length > 0) move(e.touches[0].clientX, e.touches[0].clientY); }],
+    [window, 'touchend', end]
+  ];
+  listeners.forEach(([target, type, listener]) => target.addEventListener(type, listener));
+
+  return {
+    isDragging: () => dragging,
+    wasDrag: () => moved,
+    dispose: () => listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener))
+  };
+}
+
+// Hover, click and pausing wiring shared by both globes. pickStory(x, y)
+// returns the story ID under a screen point; returns a cleanup function.
+export function bindGlobeInteraction(container, { pickStory, drag, tooltip, findStory, onStoryClick, onEmptyClick }) {
+  const onMove = (e) => {
+    const storyId = drag.isDragging() ? null : pickStory(e.clientX, e.clientY);
+    const student = storyId ? findStory(storyId) : null;
+    container.classList.toggle('over-marker', Boolean(student));
+    updateStoryTooltip(tooltip, student, e.clientX, e.clientY);
+  };
+
+  const onLeave = () => {
+    container.classList.remove('over-marker');
+    updateStoryTooltip(tooltip, null);
+  };
+
+  // A marker opens its story; anywhere else on the globe goes to the map
+  const onClick = (e) => {
+    if (drag.wasDrag()) return;
+
+    const storyId = pickStory(e.clientX, e.clientY);
+    onLeave();
+
+    if (storyId) {
+      onStoryClick(storyId);
+    } else {
+      onEmptyClick();
+    }
+  };
+
+  container.addEventListener('mousemove', onMove);
+  container.addEventListener('mouseleave', onLeave);
+  container.addEventListener('click', onClick);
+
+  return () => {
+    container.removeEventListener('mousemove', onMove);
+    container.removeEventListener('mouseleave', onLeave);
+    container.removeEventListener('click', onClick);
+    onLeave();
+  };
+}
+
+// Calls onChange(visible) whenever the container scrolls in or out of view or
+// the tab is hidden or shown; returns a cleanup function
+export function watchVisibility(container, onChange) {
+  let onScreen = true;
+  const update = () => onChange(onScreen && !document.hidden);
+
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver(([entry]) => {
+      onScreen = entry.isIntersecting;
+      update();
+    })
+    : null;
+  if (observer) observer.observe(container);
+
+  document.addEventListener('visibilitychange', update);
+
+  return () => {
+    if (observer) observer.disconnect();
+    document.removeEventListener('visibilitychange', update);
+  };
+}
+
+// Options: tooltip and legend elements, findStory(id), onStoryClick(id), onEmptyClick()
+export function createGlobe(container, options) {
+  const { legend } = options;
+
+  // Throws if WebGL can't be initialised; nothing has touched the DOM yet
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+  renderer.setClearColor(0x000000, 0);
+  renderer.domElement.id = 'globe-canvas';
+  container.appendChild(renderer.domElement);
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+  camera.position.z = 2.5;
+  camera.layers.enable(ARC_LAYER);
+
+  // Lights
+  scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  directionalLight.position.set(5, 3, 5);
+  scene.add(directionalLight);
+
+  // Earth sphere: lit by the scene lights, or by the real sun in day/night mode
+  const earthMaterial = new THREE.MeshPhongMaterial({ color: EARTH_FALLBACK_COLOR, shininess: 15 });
+  const dayNightMaterial = createDayNightMaterial();
+  const globe = new THREE.Mesh(new THREE.SphereGeometry(1, 64, 64), earthMaterial);
+  scene.add(globe);
+
+  const textures = { day: null, night: null };
+  let disposed = false;
+  let dayNight = false;
+  let nightRequested = false;
+
+  // Swap in a sharper texture, dropping the one it replaces
+  function setTexture(kind, texture) {
+    if (disposed) {
+      texture.dispose();
+      return;
+    }
+
+    if (textures[kind]) textures[kind].dispose();
+    textures[kind] = texture;
+
+    if (kind === 'day') {
+      earthMaterial.map = texture;
+      earthMaterial.color.set(0xffffff);
+      earthMaterial.needsUpdate = true;
+    }
+    dayNightMaterial.uniforms[`${kind}Texture`].value = texture;
+    dayNightMaterial.uniforms[kind === 'day' ? 'hasDay' : 'hasNight'].value = true;
+
+    // A paused globe still shows the new texture
+    if (frame === null) renderer.render(scene, camera);
+  }
+
+  loadProgressiveTexture(EARTH_TEXTURES.day, texture => setTexture('day', texture), () => {
+    console.warn('Earth texture could not be loaded; showing a plain globe');
+  });
+
+  function updateSunDirection() {
+    const sun = subsolarPoint();
+    dayNightMaterial.uniforms.sunDirection.value.copy(latLonToVector3(sun.lat, sun.lon)).normalize();
+  }
+
+  function setDayNight(enabled) {
+    dayNight = enabled;
+    globe.material = dayNight ? dayNightMaterial : earthMaterial;
+
+    // City lights are only downloaded once someone asks for them
+    if (dayNight && !nightRequested) {
+      nightRequested = true;
+      loadProgressiveTexture(EARTH_TEXTURES.night, texture => setTexture('night', texture), () => {
+        console.warn('Night texture could not be loaded; dimming the day side instead');
+      });
+    }
+
+    if (dayNight) updateSunDirection();
+    try {
+      localStorage.setItem(DAY_NIGHT_STORAGE_KEY, dayNight ? 'on' : 'off');
+    } catch (error) {
+      // Storage unavailable; the choice just won't be remembered
+    }
+
+    if (legend) {
+      const button = legend.querySelector('[data-action="day-night"]');
+      if (button) button.setAttribute('aria-pressed', String(dayNight));
+    }
+    if (frame === null) renderer.render(scene, camera);
+  }
+
+  const rotation = { x: 0, y: 0 };
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+
+  // All story markers are instances of one mesh: one draw call however many
+  // stories there are. Instance i belongs to markerStoryIds[i].
+  let markerMesh = null;
+  let markerStoryIds = [];
+  const markerDummy = new THREE.Object3D();
+
+  // Every marker pulses alike, so one uniform scales them all in the vertex
+  // shader and the instance matrices never change after they're written
+  const markerPulse = { value: 1 };
+
+  let arcsGroup = null;
+  let arcComets = [];
+  let showArcs = true;
+  const hiddenArcRegions = new Set();
+
+  let frame = null;
+  let lastFrame = null;
+  let wanted = false;
+  let visible = true;
+
+  function disposeObject(object) {
+    object.geometry.dispose();
+    object.material.dispose();
+  }
+
+  function clearMarkers() {
+    if (!markerMesh) return;
+
+    globe.remove(markerMesh);
+    disposeObject(markerMesh);
+    markerMesh.dispose();
+    markerMesh = null;
+  }
+
+  function addMarkers(stories) {
+    clearMarkers();
+
+    // Stories the build could not place have no position
+    const placed = stories.filter(hasCoordinates);
+    markerStoryIds = placed.map(data => data.id);
+    if (placed.length === 0) return;
+
+    const material = new THREE.MeshBasicMaterial({ color: 0x9ad0ff });
+    material.onBeforeCompile = shader => {
+      shader.uniforms.pulseScale = markerPulse;
+      shader.vertexShader = `uniform float pulseScale;\n${shader.vertexShader}`.replace(
+        '#include <begin_vertex>',
+        '#include <begin_vertex>\n  transformed *= pulseScale;'
+      );
+    };
+
+    markerMesh = new THREE.InstancedMesh(new THREE.SphereGeometry(0.02, 16, 16), material, placed.length);
+
+    // Instances are written at the largest pulse size, which is also what
+    // picking sees; the shader shrinks them from there
+    placed.forEach((data, i) => {
+      markerDummy.position.copy(latLonToVector3(data.lat, data.lon, 1.02)); // Slightly above globe surface
+      markerDummy.scale.setScalar(MARKER_PULSE_MAX);
+      markerDummy.updateMatrix();
+      markerMesh.setMatrixAt(i, markerDummy.matrix);
+    });
+    markerMesh.computeBoundingSphere();
+
+    globe.add(markerMesh);
+  }
+
+  // Pulse every marker by elapsed time, so the speed doesn't depend on frame rate
+  function updateMarkerPulse(time) {
+    const wave = (Math.sin((time / MARKER_PULSE_MS) * 2 * Math.PI) + 1) / 2;
+    markerPulse.value = (1 + (MARKER_PULSE_MAX - 1) * wave) / MARKER_PULSE_MAX;
+  }
+
+  function clearArcs() {
+    if (!arcsGroup) return;
+
+    globe.remove(arcsGroup);
+    arcsGroup.children.forEach(disposeObject);
+    arcsGroup = null;
+    arcComets = [];
+  }
+
+  // One arc per home region and destination city: a faint trail plus a bright
+  // "comet" that travels from Kazakhstan to the student's current city
+  function addMigrationArcs(stories) {
+    clearArcs();
+    arcsGroup = new THREE.Group();
+
+    const routes = new Map();
+    const regionCounts = new Map();
+    stories.forEach(data => {
+      if (!hasCoordinates(data)) return;
+
+      const home = resolveHomeRegion(data.region);
+      if (!home) return;
+
+      regionCounts.set(home.key, (regionCounts.get(home.key) || 0) + 1);
+      const key = `${home.key}|${data.lat.toFixed(1)}|${data.lon.toFixed(1)}`;
+      if (!routes.has(key)) routes.set(key, { home, destination: data });
+    });
+
+    routes.forEach(({ home, destination }) => {
+      const color = new THREE.Color(home.color);
+      const trailGeometry = new THREE.BufferGeometry().setFromPoints(arcPoints(home, destination));
+      const trail = new THREE.Line(trailGeometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.35 }));
+
+      // The comet shares the trail's points and only draws a moving slice of them
+      const cometGeometry = new THREE.BufferGeometry();
+      cometGeometry.setAttribute('position', trailGeometry.getAttribute('position'));
+      const comet = new THREE.Line(cometGeometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.95 }));
+      comet.userData.phase = Math.random();
+
+      [trail, comet].forEach(line => {
+        line.layers.set(ARC_LAYER);
+        line.userData.region = home.key;
+        arcsGroup.add(line);
+      });
+      arcComets.push(comet);
+    });
+
+    globe.add(arcsGroup);
+    renderArcLegend(regionCounts);
+    applyArcVisibility();
+  }
+
+  function updateMigrationArcs(time) {
+    if (!arcsGroup || !arcsGroup.visible) return;
+
+    const span = ARC_SEGMENTS + 1 + ARC_COMET_LENGTH;
+    arcComets.forEach(comet => {
+      const head = Math.floor((((time / ARC_TRAVEL_MS) + comet.userData.phase) % 1) * span);
+      const start = Math.max(0, head - ARC_COMET_LENGTH);
+      const end = Math.min(ARC_SEGMENTS + 1, head);
+      comet.geometry.setDrawRange(start, Math.max(0, end - start));
+    });
+  }
+
+  function applyArcVisibility() {
+    if (!arcsGroup) return;
+
+    arcsGroup.visible = showArcs;
+    arcsGroup.children.forEach(line => {
+      line.visible = !hiddenArcRegions.has(line.userData.region);
+    });
+
+    if (!legend) return;
+    legend.querySelectorAll('.globe-legend-btn:not([data-action="day-night"])').forEach(button => {
+      const pressed = button.dataset.region
+        ? showArcs && !hiddenArcRegions.has(button.dataset.region)
+        : showArcs;
+      button.setAttribute('aria-pressed', String(pressed));
+    });
+  }
+
+  // Legend: a routes on/off switch plus one toggle per home region in the data
+  function renderArcLegend(regionCounts) {
+    if (!legend) return;
+
+    const dayNightToggle = document.createElement('button');
+    dayNightToggle.type = 'button';
+    dayNightToggle.className = 'globe-legend-btn globe-legend-toggle';
+    dayNightToggle.dataset.action = 'day-night';
+    dayNightToggle.setAttribute('aria-pressed', String(dayNight));
+    dayNightToggle.textContent = 'Day & night';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'globe-legend-btn globe-legend-toggle';
+    toggle.dataset.action = 'routes';
+    toggle.textContent = 'Routes from home';
+
+    const regionButtons = KZ_REGIONS
+      .filter(region => regionCounts.has(region.key))
+      .map(region => {
+        const count = regionCounts.get(region.key);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'globe-legend-btn';
+        button.dataset.region = region.key;
+        button.title = `${count} ${count === 1 ? 'story' : 'stories'}`;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'globe-legend-swatch';
+        swatch.style.background = region.color;
+
+        button.append(swatch, region.name);
+        return button;
+      });
+
+    // The routes switch only makes sense when there are routes to show
+    legend.replaceChildren(dayNightToggle, ...(regionButtons.length > 0 ? [toggle, ...regionButtons] : []));
+    legend.hidden = false;
+  }
+
+  function onLegendClick(e) {
+    const button = e.target.closest('.globe-legend-btn');
+    if (!button) return;
+
+    if (button.dataset.action === 'day-night') {
+      setDayNight(!dayNight);
+      return;
+    }
+
+    const region = button.dataset.region;
+    if (!region) {
+      showArcs = !showArcs;
+    } else if (!showArcs) {
+      // Picking a region while routes are off shows just that region
+      showArcs = true;
+      hiddenArcRegions.clear();
+      KZ_REGIONS.forEach(({ key }) => { if (key !== region) hiddenArcRegions.add(key); });
+    } else if (hiddenArcRegions.has(region)) {
+      hiddenArcRegions.delete(region);
+    } else {
+      hiddenArcRegions.add(region);
+    }
+    applyArcVisibility();
+  }
+
+  // The story ID of the marker under a screen point, or null. Markers behind
+  // the globe are hidden by the sphere itself, which the ray hits first.
+  function pickStory(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(pointer, camera);
+    const [hit] = raycaster.intersectObject(globe, true);
+
+    return hit && hit.object === markerMesh ? markerStoryIds[hit.instanceId] : null;
+  }
+
+  // Match the drawing buffer to the container at the screen's pixel density
+  function resize() {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    if (!width || !height) return;
+
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO));
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // A paused globe still needs one frame at the new size
+    if (frame === null) renderer.render(scene, camera);
+  }
+
+  function animate(time) {
+    frame = requestAnimationFrame(animate);
+
+    // Frame-rate independent; a long gap (e.g. after a pause) doesn't jump
+    const elapsed = lastFrame === null ? 0 : Math.min(time - lastFrame, 100);
+    lastFrame = time;
+
+    // Apply rotation from user interaction
+    globe.rotation.y = rotation.y;
+    globe.rotation.x = rotation.x;
+
+    // Auto-rotate when not dragging
+    if (!drag.isDragging()) {
+      rotation.y += AUTO_ROTATE_PER_MS * elapsed;
+    }
+
+    updateMarkerPulse(time);
+    updateMigrationArcs(time);
+    if (dayNight) updateSunDirection();
+    renderer.render(scene, camera);
+  }
+
+  // Run only while the page wants the globe and it can actually be seen
+  function updateLoop() {
+    if (wanted && visible && frame === null) {
+      lastFrame = null;
+      frame = requestAnimationFrame(animate);
+    } else if ((!wanted || !visible) && frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+  }
+
+  const drag = trackGlobeDrag(container, (dx, dy) => {
+    rotation.y += dx * DRAG_SPEED;
+    rotation.x += dy * DRAG_SPEED;
+
+    // Limit vertical rotation
+    rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotation.x));
+  });
+  const unbindInteraction = bindGlobeInteraction(container, { ...options, pickStory, drag });
+  const unwatchVisibility = watchVisibility(container, (isVisible) => {
+    visible = isVisible;
+    updateLoop();
+  });
+  const resizeObserver = 'ResizeObserver' in window ? new ResizeObserver(resize) : null;
+  if (resizeObserver) resizeObserver.observe(container);
+  window.addEventListener('resize', resize);
+  if (legend) legend.addEventListener('click', onLegendClick);
+
+  resize();
+
+  // Day/night is opt-in and remembered between visits
+  try {
+    if (localStorage.getItem(DAY_NIGHT_STORAGE_KEY) === 'on') setDayNight(true);
+  } catch (error) {
+    // Storage unavailable
+  }
+
+  return {
+    kind: 'webgl',
+
+    setStories(stories) {
+      addMarkers(stories);
+      addMigrationArcs(stories);
+    },
+
+    start() {
+      wanted = true;
+      updateLoop();
+    },
+
+    stop() {
+      wanted = false;
+      updateLoop();
+    },
+
+    resize,
+
+    dispose() {
+      wanted = false;
+      updateLoop();
+
+      drag.dispose();
+      unbindInteraction();
+      unwatchVisibility();
+      if (resizeObserver) resizeObserver.disconnect();
+      window.removeEventListener('resize', resize);
+
+      if (legend) {
+        legend.removeEventListener('click', onLegendClick);
+        legend.replaceChildren();
+        legend.hidden = true;
+      }
+
+      disposed = true;
+      clearMarkers();
+      clearArcs();
+      globe.geometry.dispose();
+      earthMaterial.dispose();
+      dayNightMaterial.dispose();
+      Object.values(textures).forEach(texture => { if (texture) texture.dispose(); });
+      renderer.dispose();
+      renderer.domElement.remove();
+    }
+  };
+}
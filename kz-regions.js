@@ -0,0 +1,83 @@
+// ===================================
+// KAZAKHSTAN HOME REGIONS
+// ===================================
+// The 17 regions and 3 cities of republican significance (2022 borders) with
+// an approximate centroid, the names students type for them in English,
+// Russian and Kazakh, and the colour their migration arcs use on the globe.
+// Main towns are listed as aliases of their region, so "Semey" finds Abai.
+
+export const KZ_REGIONS = [
+  { key: 'astana', name: 'Astana', lat: 51.169, lon: 71.449, color: '#4facfe',
+    aliases: ['astana', 'nur-sultan', 'nursultan', 'астана', 'нур-султан', 'нұр-сұлтан', 'tselinograd', 'целиноград'] },
+  { key: 'almaty', name: 'Almaty', lat: 43.238, lon: 76.946, color: '#f5576c',
+    aliases: ['almaty', 'alma-ata', 'алматы', 'алма-ата'] },
+  { key: 'shymkent', name: 'Shymkent', lat: 42.342, lon: 69.59, color: '#43e97b',
+    aliases: ['shymkent', 'chimkent', 'шымкент', 'чимкент'] },
+  { key: 'abai', name: 'Abai Region', lat: 48.9, lon: 79.5, color: '#fa709a',
+    aliases: ['abai region', 'abay region', 'абайская область', 'абай облысы', 'semey', 'semei', 'semipalatinsk', 'семей', 'семипалатинск', 'ayagoz', 'аягоз'] },
+  { key: 'akmola', name: 'Akmola Region', lat: 51.9, lon: 70.0, color: '#fee140',
+    aliases: ['akmola region', 'akmola', 'акмолинская область', 'ақмола облысы', 'kokshetau', 'кокшетау', 'көкшетау', 'stepnogorsk', 'степногорск'] },
+  { key: 'aktobe', name: 'Aktobe Region', lat: 48.5, lon: 58.5, color: '#a18cd1',
+    aliases: ['aktobe region', 'aktobe', 'aktyubinsk', 'актюбинская область', 'ақтөбе облысы', 'актобе', 'ақтөбе'] },
+  { key: 'almaty-region', name: 'Almaty Region', lat: 43.9, lon: 77.5, color: '#ff9a76',
+    aliases: ['almaty region', 'almaty oblast', 'алматинская область', 'алматы облысы', 'konaev', 'kapchagay', 'қонаев', 'конаев', 'капшагай', 'talgar', 'талгар', 'esik', 'есик'] },
+  { key: 'atyrau', name: 'Atyrau Region', lat: 47.0, lon: 52.5, color: '#30cfd0',
+    aliases: ['atyrau region', 'atyrau', 'атырауская область', 'атырау облысы', 'атырау', 'kulsary', 'кульсары'] },
+  { key: 'east-kazakhstan', name: 'East Kazakhstan Region', lat: 49.0, lon: 84.0, color: '#667eea',
+    aliases: ['east kazakhstan region', 'east kazakhstan', 'восточно-казахстанская область', 'вко', 'шығыс қазақстан облысы', 'oskemen', 'ust-kamenogorsk', 'өскемен', 'усть-каменогорск', 'ridder', 'риддер'] },
+  { key: 'jambyl', name: 'Jambyl Region', lat: 44.2, lon: 72.2, color: '#c471f5',
+    aliases: ['jambyl region', 'zhambyl region', 'jambyl', 'zhambyl', 'жамбылская область', 'жамбыл облысы', 'taraz', 'тараз', 'zhanatas', 'жанатас'] },
+  { key: 'jetisu', name: 'Jetisu Region', lat: 45.3, lon: 79.0, color: '#f6d365',
+    aliases: ['jetisu region', 'zhetysu region', 'jetisu', 'zhetysu', 'область жетысу', 'жетісу облысы', 'taldykorgan', 'талдыкорган', 'талдықорған'] },
+  { key: 'karaganda', name: 'Karaganda Region', lat: 48.5, lon: 74.5, color: '#84fab0',
+    aliases: ['karaganda region', 'karagandy region', 'karaganda', 'karagandy', 'карагандинская область', 'қарағанды облысы', 'караганда', 'қарағанды', 'temirtau', 'темиртау', 'balkhash', 'балхаш'] },
+  { key: 'kostanay', name: 'Kostanay Region', lat: 51.5, lon: 63.5, color: '#8fd3f4',
+    aliases: ['kostanay region', 'kostanai region', 'kostanay', 'kostanai', 'костанайская область', 'қостанай облысы', 'костанай', 'қостанай', 'rudny', 'рудный'] },
+  { key: 'kyzylorda', name: 'Kyzylorda Region', lat: 45.0, lon: 64.0, color: '#e0c3fc',
+    aliases: ['kyzylorda region', 'kyzylorda', 'кызылординская область', 'қызылорда облысы', 'кызылорда', 'қызылорда', 'baikonur', 'байконур'] },
+  { key: 'mangystau', name: 'Mangystau Region', lat: 44.2, lon: 53.5, color: '#ff6a88',
+    aliases: ['mangystau region', 'mangystau', 'mangistau', 'мангистауская область', 'маңғыстау облысы', 'aktau', 'актау', 'ақтау', 'zhanaozen', 'жанаозен'] },
+  { key: 'north-kazakhstan', name: 'North Kazakhstan Region', lat: 54.0, lon: 69.5, color: '#5ee7df',
+    aliases: ['north kazakhstan region', 'north kazakhstan', 'северо-казахстанская область', 'ско', 'солтүстік қазақстан облысы', 'petropavl', 'petropavlovsk', 'петропавловск', 'петропавл'] },
+  { key: 'pavlodar', name: 'Pavlodar Region', lat: 52.3, lon: 76.5, color: '#b490ca',
+    aliases: ['pavlodar region', 'pavlodar', 'павлодарская область', 'павлодар облысы', 'павлодар', 'ekibastuz', 'экибастуз', 'екібастұз'] },
+  { key: 'turkistan', name: 'Turkistan Region', lat: 42.9, lon: 68.8, color: '#d4fc79',
+    aliases: ['turkistan region', 'turkestan region', 'south kazakhstan region', 'turkistan', 'turkestan', 'туркестанская область', 'түркістан облысы', 'южно-казахстанская область', 'туркестан', 'түркістан', 'kentau', 'кентау'] },
+  { key: 'ulytau', name: 'Ulytau Region', lat: 47.8, lon: 67.5, color: '#f093fb',
+    aliases: ['ulytau region', 'ulytau', 'область улытау', 'ұлытау облысы', 'zhezkazgan', 'жезказган', 'жезқазған', 'satpayev', 'сатпаев'] },
+  { key: 'west-kazakhstan', name: 'West Kazakhstan Region', lat: 50.3, lon: 51.5, color: '#96e6a1',
+    aliases: ['west kazakhstan region', 'west kazakhstan', 'западно-казахстанская область', 'зко', 'батыс қазақстан облысы', 'oral', 'uralsk', 'орал', 'уральск', 'aksay', 'аксай'] }
+];
+
+// "г. Алматы" -> "алматы", "Zhambyl oblast" -> "zhambyl region": words for
+// "city" are dropped and every word for "region" reads the same
+function normalizeRegionKey(text) {
+  return ` ${String(text || '').toLowerCase().replace(/ё/g, 'е').replace(/[^\p{L}\p{N}-]+/gu, ' ')} `
+    .replace(/ (г|город|city|қаласы)(?= )/g, ' ')
+    .replace(/ (region|oblast|obl|область|обл|облысы)(?= )/g, ' region')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const REGION_LOOKUP = new Map();
+KZ_REGIONS.forEach(region => {
+  [region.name, ...region.aliases].forEach(alias => {
+    REGION_LOOKUP.set(normalizeRegionKey(alias), region);
+  });
+});
+
+// The region entry for a free-text home region answer, or null.
+// "Almaty" is the city; "Almaty region" or "Алматинская область" the region.
+export function resolveHomeRegion(answer) {
+  const whole = REGION_LOOKUP.get(normalizeRegionKey(answer));
+  if (whole) return whole;
+
+  // "Karaganda, Temirtau" or "Pavlodar (Ekibastuz)": take the first part we know
+  const parts = String(answer || '').split(/[,/()]|\s[-–—]\s/);
+  for (const part of parts) {
+    const match = REGION_LOOKUP.get(normalizeRegionKey(part));
+    if (match) return match;
+  }
+
+  return null;
+}
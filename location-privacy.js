@@ -0,0 +1,145 @@
+// ===================================
+// LOCATION PRIVACY
+// ===================================
+// Decides how precisely each story may be placed and rewrites its coordinates
+// to match. This runs when data/students.json is built, before any marker is
+// created: hiding a position in the browser would still publish it in the JSON.
+//
+// The site sets a minimum level; a student can ask for a stricter one in the
+// survey, and "city only" consent always means at least city-level.
+
+import { fnv1a } from './student-schema.js';
+import { CONSENT_LEVELS } from './consent.js';
+import { recordCountry, countryCentroid } from './countries.js';
+import { findCity, hasCoordinates } from './geocode.js';
+
+export const LOCATION_PRIVACY = {
+  EXACT: 'exact',     // the coordinates from the sheet
+  JITTER: 'jitter',   // moved 1–3 km in a fixed direction per story
+  CITY: 'city',       // the centre of the student's city
+  COUNTRY: 'country'  // the centre of the student's country, city hidden
+};
+
+export const DEFAULT_LOCATION_PRIVACY = LOCATION_PRIVACY.JITTER;
+
+// Least to most private
+const STRICTNESS = [LOCATION_PRIVACY.EXACT, LOCATION_PRIVACY.JITTER, LOCATION_PRIVACY.CITY, LOCATION_PRIVACY.COUNTRY];
+
+// Survey answers in English, Russian or Kazakh; checked strictest first
+const ANSWER_PATTERNS = [
+  { level: LOCATION_PRIVACY.COUNTRY, pattern: /country|стран|елді|ел ғана/i },
+  { level: LOCATION_PRIVACY.CITY, pattern: /city|город|қала/i },
+  { level: LOCATION_PRIVACY.JITTER, pattern: /approximate|nearby|roughly|примерн|приблизительн|шамамен/i },
+  { level: LOCATION_PRIVACY.EXACT, pattern: /exact|precise|точн|нақты/i }
+];
+
+// Classify the survey answer; null when blank or unrecognised
+export function parseLocationPrivacy(answer) {
+  const text = String(answer || '').trim();
+  if (!text) return null;
+
+  const match = ANSWER_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.level : null;
+}
+
+export function strictestPrivacy(...levels) {
+  return levels
+    .filter(level => STRICTNESS.includes(level))
+    .reduce((strictest, level) => STRICTNESS.indexOf(level) > STRICTNESS.indexOf(strictest) ? level : strictest,
+      LOCATION_PRIVACY.EXACT);
+}
+
+// The level that applies to one record under a site-wide minimum
+export function recordPrivacy(record, siteLevel = DEFAULT_LOCATION_PRIVACY) {
+  const consentLevel = record.consentLevel === CONSENT_LEVELS.CITY ? LOCATION_PRIVACY.CITY : null;
+  return strictestPrivacy(siteLevel, parseLocationPrivacy(record.locationPrivacy), consentLevel);
+}
+
+const EARTH_RADIUS_KM = 6371;
+const JITTER_MIN_KM = 1;
+const JITTER_MAX_KM = 3;
+
+// Move a point a fixed pseudo-random distance and bearing. The seed includes
+// the exact position, so the offset can't be recomputed from the public story ID.
+export function jitterPosition(lat, lon, seed) {
+  const hash = fnv1a(`${seed}|${lat}|${lon}`);
+  const bearing = ((hash & 0xffff) / 0x10000) * 2 * Math.PI;
+  const distance = JITTER_MIN_KM + ((hash >>> 16) / 0x10000) * (JITTER_MAX_KM - JITTER_MIN_KM);
+
+  const dLat = (distance / EARTH_RADIUS_KM) * Math.cos(bearing);
+  const dLon = (distance / EARTH_RADIUS_KM) * Math.sin(bearing) / Math.cos(lat * Math.PI / 180);
+
+  return [lat + dLat * 180 / Math.PI, lon + dLon * 180 / Math.PI];
+}
+
+// Published coordinates never need more than ~100 m of precision
+function roundCoordinate(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Small countries and territories (Singapore, Malta, Hong Kong...) have no
+// shape in the 1:110m boundaries; their largest city stands in for them
+function countryPosition(record, { gazetteer, boundaries }) {
+  const country = recordCountry(record);
+  const centroid = countryCentroid(boundaries.get(country));
+  if (centroid) return centroid;
+
+  const city = gazetteer.largestByCountry.get(country);
+  return city ? [city.lat, city.lon] : null;
+}
+
+// Where a record may be shown: { lat, lon, precision }, or null if nowhere
+function protectedPosition(record, level, { gazetteer, boundaries }) {
+  if (level === LOCATION_PRIVACY.COUNTRY) {
+    const country = countryPosition(record, { gazetteer, boundaries });
+    return country && { lat: country[0], lon: country[1], precision: LOCATION_PRIVACY.COUNTRY };
+  }
+
+  if (level === LOCATION_PRIVACY.CITY) {
+    const city = findCity(gazetteer, record.city, record.country);
+    if (city) return { lat: city.lat, lon: city.lon, precision: LOCATION_PRIVACY.CITY };
+
+    // Unknown city: fall back to something coarser, never finer
+    return protectedPosition(record, LOCATION_PRIVACY.COUNTRY, { gazetteer, boundaries });
+  }
+
+  if (!hasCoordinates(record)) return null;
+
+  if (level === LOCATION_PRIVACY.JITTER) {
+    const [lat, lon] = jitterPosition(record.lat, record.lon, record.id);
+    return { lat, lon, precision: LOCATION_PRIVACY.JITTER };
+  }
+
+  return { lat: record.lat, lon: record.lon, precision: LOCATION_PRIVACY.EXACT };
+}
+
+// Apply each record's privacy level. `places` holds the gazetteer (geocode.js)
+// and Map(country -> boundary feature) used for the city and country levels.
+export function protectLocations(records, places, siteLevel = DEFAULT_LOCATION_PRIVACY) {
+  if (!STRICTNESS.includes(siteLevel)) {
+    throw new Error(`Unknown location privacy level "${siteLevel}", expected one of: ${STRICTNESS.join(', ')}`);
+  }
+
+  const byPrecision = {};
+
+  const protectedRecords = records.map(record => {
+    const position = protectedPosition(record, recordPrivacy(record, siteLevel), places);
+    const precision = position ? position.precision : '';
+    const countryOnly = precision === LOCATION_PRIVACY.COUNTRY;
+    byPrecision[precision || 'hidden'] = (byPrecision[precision || 'hidden'] || 0) + 1;
+
+    return {
+      ...record,
+      // A country-level story must not name its city anywhere else either;
+      // the country answer is often "City, Country"
+      city: countryOnly ? '' : record.city,
+      country: countryOnly ? recordCountry(record) : record.country,
+      lat: position ? roundCoordinate(position.lat) : null,
+      lon: position ? roundCoordinate(position.lon) : null,
+      locationPrecision: precision
+    };
+  });
+
+  console.log('Location privacy:', byPrecision);
+  return protectedRecords;
+}
@@ -0,0 +1,160 @@
+// ===================================
+// MARKDOWN WITH FRONT MATTER
+// ===================================
+// The small Markdown dialect articles are written in (articles/*.md, compiled
+// by scripts/build-articles.mjs). Blocks: ## headings, paragraphs, > quotes,
+// - and 1. lists, --- rules, and "Q: " paragraphs for interview questions.
+// Inline: **bold**, *italic*, `code`, [links](url) and ![images](url).
+// Raw HTML is escaped, so writers can't break the page.
+
+import { escapeHTML } from './sanitize.js';
+
+// "[a, b]", "'quoted'", "\"quoted\"", true/false or plain text. Dates stay
+// strings: the site sorts them as ISO text.
+function parseValue(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    // Commas inside quotes belong to the item: ["Seoul, South Korea"]
+    const items = value.slice(1, -1).match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*|[^,]+/g) || [];
+    return items.map(parseValue).filter(item => item !== '');
+  }
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) return JSON.parse(value);
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true' || value === 'false') return value === 'true';
+
+  return value;
+}
+
+// Split "---\nkey: value\n---\nbody" into { data, body }. Supports the YAML
+// the article template uses: one key per line, inline or "- item" lists.
+export function parseFrontMatter(text) {
+  const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = source.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseValue(item[1]));
+      return;
+    }
+
+    const field = line.match(/^([A-Za-z][\w-]*):(?:\s+(.*))?$/);
+    if (!field) {
+      throw new Error(`Front matter line ${i + 2} is not "key: value": ${line.trim()}`);
+    }
+
+    const [, key, value = ''] = field;
+    if (value.trim()) {
+      data[key] = parseValue(value);
+      listKey = null;
+    } else {
+      data[key] = [];
+      listKey = key;
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+// Links may point at pages and files of this site, the web or an email address
+function safeURL(url) {
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+// Emphasis markers must hug their text, so "a * b * c" stays as typed
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\p{L}\p{N}])_(?=\S)(.+?)(?<=\S)_(?![\p{L}\p{N}])/gu, '$1<em>$2</em>');
+}
+
+// Inline markup on text outside code spans. Escaping comes first, so the
+// tags these patterns produce are the only HTML in the output. Links and
+// images are swapped for placeholders while emphasis is applied, so a * or _
+// in a URL can't turn into a tag inside its attribute.
+function renderText(text) {
+  const links = [];
+  const hold = html => `\uE000${links.push(html) - 1}\uE001`;
+  // An image inside a link label is held inside the link, so restore nested ones too
+  const restore = html => html.replace(/\uE000(\d+)\uE001/g, (whole, i) => restore(links[i]));
+
+  const html = escapeHTML(text.replace(/[\uE000\uE001]/g, ''))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (whole, alt, src) => (
+      safeURL(src) ? hold(`<img src="${src}" alt="${alt}">`) : alt
+    ))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (whole, label, href) => (
+      safeURL(href) ? hold(`<a href="${href}">${renderEmphasis(label)}</a>`) : label
+    ));
+
+  return restore(renderEmphasis(html));
+}
+
+// Code spans are shown exactly as typed, so split them out before the rest
+function renderInline(text) {
+  return text
+    .split(/(`[^`]+`)/)
+    .map(part => (/^`[^`]+`$/.test(part) ? `<code>${escapeHTML(part.slice(1, -1))}</code>` : renderText(part)))
+    .join('');
+}
+
+const LIST_ITEM = /^(?:[-*]|\d+[.)])\s+/;
+
+function renderList(lines) {
+  const tag = /^\d/.test(lines[0]) ? 'ol' : 'ul';
+  const items = [];
+
+  // Indented lines continue the item above
+  lines.forEach(line => {
+    if (LIST_ITEM.test(line)) {
+      items.push(line.replace(LIST_ITEM, ''));
+    } else {
+      items[items.length - 1] += ` ${line.trim()}`;
+    }
+  });
+
+  return `<${tag}>\n${items.map(item => `  <li>${renderInline(item)}</li>`).join('\n')}\n</${tag}>`;
+}
+
+function renderBlock(block) {
+  const lines = block.split('\n');
+  const text = lines.map(line => line.trim()).join(' ');
+
+  const heading = lines[0].match(/^(#{1,6})\s+(.*)$/);
+  if (heading) {
+    const level = heading[1].length;
+    return `<h${level}>${renderInline([heading[2], ...lines.slice(1)].join(' ').trim())}</h${level}>`;
+  }
+
+  if (/^(?:-{3,}|\*{3,})$/.test(text)) return '<hr>';
+
+  if (lines.every(line => line.startsWith('>'))) {
+    return `<blockquote>${renderInline(lines.map(line => line.replace(/^>\s?/, '')).join(' ').trim())}</blockquote>`;
+  }
+
+  if (LIST_ITEM.test(lines[0])) return renderList(lines);
+
+  const question = text.match(/^Q:\s+(.*)$/);
+  if (question) return `<p class="interview-q">${renderInline(question[1])}</p>`;
+
+  return `<p>${renderInline(text)}</p>`;
+}
+
+// Markdown body -> HTML, one block per blank-line-separated chunk
+export function markdownToHTML(markdown) {
+  return String(markdown)
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.replace(/^\n+|\s+$/g, ''))
+    .filter(Boolean)
+    .map(renderBlock)
+    .join('\n\n');
+}
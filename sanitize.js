@@ -0,0 +1,56 @@
+// ===================================
+// SANITISING SHEET-SOURCED CONTENT
+// ===================================
+// Anyone can submit the public Google Form, so every answer is untrusted.
+// Escape it before it goes into HTML, and only link to URLs we recognise.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+// Escape a value for use in HTML text or a quoted attribute
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Hosts we link to from the socialMedia answer, with the label shown for each
+const SOCIAL_HOSTS = [
+  { domain: 'instagram.com', label: 'Instagram' },
+  { domain: 'linkedin.com', label: 'LinkedIn' }
+];
+
+// Parse one candidate link; returns { href, label } or null if it isn't an
+// http(s) Instagram/LinkedIn URL. Bare "instagram.com/name" answers get https.
+export function parseSocialLink(candidate) {
+  const text = String(candidate || '').trim();
+  if (!text) return null;
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  if (url.username || url.password) return null;
+
+  const host = url.hostname.toLowerCase();
+  const match = SOCIAL_HOSTS.find(({ domain }) => host === domain || host.endsWith(`.${domain}`));
+  if (!match) return null;
+
+  return { href: url.href, label: match.label };
+}
+
+// All allowed links in a free-text socialMedia answer
+export function safeSocialLinks(socialMedia) {
+  return String(socialMedia || '')
+    .split(/[\s,;]+/)
+    .map(parseSocialLink)
+    .filter(Boolean);
+}
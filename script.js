@@ -1,86 +1,44 @@
-// Import Three.js as ES module
-import * as THREE from 'three';
+import { SCHEMA_VERSION } from './student-schema.js';
+import { parseStudentCSV, toPublicRecord } from './student-records.js';
+import { initStoryModal, openStory, openStoryFromHash } from './story-modal.js';
+import { escapeHTML, safeSocialLinks } from './sanitize.js';
+import { readCache, writeCache } from './data-cache.js';
+import { resolveCountry, recordCountry, countryBoundary, loadCountryBoundaries } from './countries.js';
+import { aggregateByCountry, parseTimestamp, growthByMonth, summarizeStories } from './stats.js';
+import { hasCoordinates, loadGazetteer, geocodeRecords, reportGeocoding } from './geocode.js';
+import { protectLocations } from './location-privacy.js';
+import { createGlobe, supportsWebGL } from './globe.js';
+import { createFallbackGlobe } from './globe-fallback.js';
+import {
+  FILTER_FACETS, facetOptions, filterRecords, isFiltered,
+  emptyFilterState, readFiltersFromURL, writeFiltersToURL
+} from './story-filters.js';
 
 // ===================================
-// STUDENT DATA FROM GOOGLE SHEETS
+// STUDENT DATA
 // ===================================
-const CSV_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTyDQgBwDKNy-BOdLYk_WsO35FdNpjBILO97OyHh8K5Tbcsbghz-yKmvOmqBz5Xx4SXNwGeMHF7a7qR/pub?output=csv';
+// The site never downloads the survey sheet itself: scripts/build-students.mjs
+// exports consented rows and public fields to this file when the site is
+// deployed (.github/workflows/deploy.yml). The committed copy is empty.
+const DATA_URL = 'data/students.json';
 
-let studentData = [];
-let totalStudents = 0;
-let totalCountries = 0;
-let totalStories = 0;
-
-// Parse CSV text into array of objects using PapaParse
-function parseCSV(csvText) {
-  // Check if PapaParse is loaded
-  if (typeof Papa === 'undefined') {
-    throw new Error('PapaParse library not loaded. Please check your internet connection.');
-  }
+const isLocalDev = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+const devParams = new URLSearchParams(isLocalDev ? window.location.search : '');
 
-  // Use PapaParse for robust CSV parsing
-  const parsed = Papa.parse(csvText, {
-    header: true,
-    skipEmptyLines: true,
-    trimHeaders: true,
-    dynamicTyping: false
-  });
-
-  console.log('PapaParse result:', {
-    errors: parsed.errors,
-    meta: parsed.meta,
-    dataLength: parsed.data.length
-  });
+// Local development can load a CSV fixture instead: index.html?csv=fixtures/hostile-rows.csv
+function getFixtureUrl() {
+  const override = devParams.get('csv');
 
-  const data = parsed.data;
-  const headers = parsed.meta.fields;
-
-  // Debug: Log headers to see actual column names
-  console.log('CSV Headers:', headers);
-  console.log('Total columns:', headers.length);
-
-  // Debug: Log first row to see structure
-  if (data.length > 0) {
-    console.log('First row data sample:', {
-      fullName: data[0]['1. Full name '], // Note: has trailing space in actual CSV
-      country: data[0]['4. Current City and Country of residence'],
-      consent: data[0]['16. Do you consent to having your information displayed on the Roots & Roads website?'],
-      latitude: data[0]['Latitude'],
-      longitude: data[0]['Longitude']
-    });
-    console.log('All consent column possibilities:',
-      headers.filter(k => k && k.toLowerCase().includes('consent'))
-    );
-  }
-
-  // Filter data based on consent and valid name
-  const filteredData = data.filter(rowData => {
-    // More flexible consent checking - check multiple possible column names
-    const consentValue =
-      rowData['16. Do you consent to having your information displayed on the Roots & Roads website?'] ||
-      rowData['25. Do you consent to having your information displayed on the Roots & Roads website?'] ||
-      rowData['Do you consent to having your information displayed on the Roots & Roads website?'] ||
-      rowData['16. Do you consent to having your information displayed on the Roots &amp; Roads website?'] ||
-      rowData['25. Do you consent to having your information displayed on the Roots &amp; Roads website?'] ||
-      '';
-
-    // Include row if consent contains 'yes' (case insensitive) or if no consent column exists (assume yes)
-    const hasConsent = consentValue.toLowerCase().includes('yes') ||
-                       consentValue.toLowerCase().includes('y') ||
-                       !headers.some(h => h && h.toLowerCase().includes('consent'));
-
-    // Must have a name - check with and without trailing space
-    const hasName = (rowData['1. Full name '] || rowData['1. Full name']) &&
-                    (rowData['1. Full name '] || rowData['1. Full name']).trim().length > 0;
-
-    return hasConsent && hasName;
-  });
-
-  console.log(`Found ${filteredData.length} valid rows with consent out of ${data.length} total rows`);
-
-  return filteredData;
+  if (override && /^[\w-]+(\/[\w-]+)*\.csv$/.test(override)) {
+    return override;
+  }
+  return null;
 }
 
+let studentData = [];
+let totalCountries = 0;
+let totalStories = 0;
+
 // Update loading status
 function updateLoadingStatus(message) {
   const statusElement = document.getElementById('loading-status');
@@ -109,7 +67,7 @@ function showError(message) {
       <div style="text-align: center; color: white;">
         <p style="font-size: 48px; margin: 0;">⚠️</p>
         <p style="font-size: 20px; font-weight: 600; margin: 20px 0 10px;">Error Loading Data</p>
-        <p style="font-size: 14px; opacity: 0.8; margin: 0;">${message}</p>
+        <p style="font-size: 14px; opacity: 0.8; margin: 0;">${escapeHTML(message)}</p>
         <button onclick="location.reload()" style="
           margin-top: 20px;
           padding: 10px 20px;
@@ -125,299 +83,174 @@ function showError(message) {
   }
 }
 
-// Fetch and process student data from Google Sheets
-async function fetchStudentData() {
-  try {
-    updateLoadingStatus('Connecting to Google Sheets...');
-    console.log('Fetching from URL:', CSV_URL);
-
-    const response = await fetch(CSV_URL);
-    console.log('Response status:', response.status, response.statusText);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+// Show or hide the note that tells visitors they are looking at saved data
+function showDataStatus(message) {
+  const status = document.getElementById('data-status');
+  if (!status) return;
 
-    updateLoadingStatus('Parsing student data...');
-    const csvText = await response.text();
-    console.log('CSV text length:', csvText.length);
-    console.log('First 200 characters:', csvText.substring(0, 200));
-
-    if (!csvText || csvText.trim().length === 0) {
-      throw new Error('Received empty data from Google Sheets');
-    }
+  status.textContent = message || '';
+  status.hidden = !message;
+}
 
-    const rawData = parseCSV(csvText);
+function formatSavedAt(savedAt) {
+  const date = new Date(savedAt);
+  if (!savedAt || isNaN(date)) return 'an earlier visit';
 
-    if (rawData.length === 0) {
-      console.warn('No student data found with consent. Showing empty map.');
-    }
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
 
-    updateLoadingStatus('Processing student stories...');
+// Fetch the published dataset (or a dev fixture); throws on any network or data problem
+async function fetchLiveData() {
+  const fixtureUrl = getFixtureUrl();
+  const dataUrl = fixtureUrl || DATA_URL;
+  console.log('Fetching from URL:', dataUrl);
 
-    // Transform CSV data into format needed for map
-    // Note: '1. Full name ' has a trailing space in the actual CSV header
-    studentData = rawData.map(row => ({
-      // Basic info
-      fullName: (row['1. Full name '] || row['1. Full name']) || 'Anonymous',
-      age: row['2. Age'] || '',
-      region: row['3. Region in Kazakhstan you are originally from'] || '',
-      country: row['4. Current City and Country of residence'] || row['4. Current Country of Residence'] || '',
-      city: row['5. Current City of Residence'] || '',
-
-      // Academic/Professional info
-      studyOrWork: row['6. Are you studying or working abroad?'] || '',
-      institution: row['7. University Name / Workplace'] || '',
-      degree: row['8. Degree or Position\n(e.g., Bachelor in International Relations, MA in Economics, Software Engineer)'] ||
-              row['8. Degree or Position\n(e.g., Bachelor in International Relations, MA in Economics, Software Engineer)'] || '',
-      specialization: row['9. Faculty / Specialization'] || '',
-      yearOrStage: row['9. Year of Study / Career Stage'] || row['10. Year of Study / Career Stage'] || '',
-
-      // Story details
-      motivation: row['11. What motivated you to study or work abroad?'] || '',
-      proud: row['10. Please list your achievements, projects, seminars, or other activities you wish to be listed as your personal achievements on a website)'] ||
-             row['12. What are you most proud of academically or professionally?'] || '',
-      activities: row['13. Have you participated in any clubs, organizations, awards, conferences, or special projects?'] || '',
-      unique: row['14. What makes your journey unique or inspiring?'] || '',
-      challenges: row['15. What challenges did you face while living abroad?'] || '',
-      overcome: row['16. How did you overcome these challenges?'] || '',
-      advice: row['11. What advice would you give to future Kazakh st? ( it will listed as your personal moto/advice )'] ||
-              row['13. What advice would you give to young kazakh  students who want to study or work abroad?'] ||
-              row['17. What advice would you give to future Kazakh students who want to study/work abroad?'] || '',
-      culture: row['18. What do you wish people around the world knew about Kazakhstan or Kazakh culture?'] || '',
-      changed: row['19. How has living abroad changed you as a person?'] || '',
-      finance: row['12. How did you finance your studies abroad?'] ||
-               row['20. How did you finance your studies abroad?'] || '',
-      satisfaction: row['13. Rate your satisfaction with your experience abroad'] ||
-                    row['21. Rate your satisfaction with your experience abroad'] || '',
-      returnPlan: row['22. Do you plan to return to Kazakhstan in the future? Why or why not?'] || '',
-      preferredRegion: row['14. Preferred region to live after graduation'] ||
-                       row['23. Preferred region to live after graduation'] || '',
-      photo: row['15. Upload a photo you would like displayed on the website'] ||
-             row['24. Upload a photo you would like displayed on the website'] || '',
-      socialMedia: row['17. Optional: Social media links (Instagram/LinkedIn)'] ||
-                   row['26. Optional: Social media links (Instagram/LinkedIn)'] || '',
-
-      // Location
-      lat: parseFloat(row['Latitude']) || 0,
-      lon: parseFloat(row['Longitude']) || 0,
-
-      timestamp: row['Timestamp'] || ''
-    }));
-
-    // Calculate statistics
-    totalStories = studentData.length;
-
-    // Count unique countries
-    const uniqueCountries = new Set(studentData.map(s => s.country).filter(c => c));
-    totalCountries = uniqueCountries.size;
-
-    // For student count, use total stories (each entry is one student)
-    totalStudents = totalStories;
+  const response = await fetch(dataUrl, { cache: 'no-cache' });
+  console.log('Response status:', response.status, response.statusText);
 
-    updateLoadingStatus(`Loaded ${totalStories} stories successfully!`);
-
-    return studentData;
-  } catch (error) {
-    console.error('Error fetching student data:', error);
-    showError(error.message || 'Failed to load data from Google Sheets');
-    throw error; // Re-throw to handle in caller
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
   }
-}
-
-// ===================================
-// 3D GLOBE WITH THREE.JS
-// ===================================
-let scene, camera, renderer, globe, controls;
-let isGlobeDragging = false;
-let previousMousePosition = { x: 0, y: 0 };
-let rotation = { x: 0, y: 0 };
 
-function initGlobe() {
-  const container = document.getElementById('globe');
-  if (!container) return;
-
-  // Scene
-  scene = new THREE.Scene();
-
-  // Camera
-  const width = container.clientWidth;
-  const height = container.clientHeight;
-  camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
-  camera.position.z = 2.5;
-
-  // Renderer
-  renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-  renderer.setSize(width, height);
-  renderer.setClearColor(0x000000, 0);
-  container.appendChild(renderer.domElement);
-  renderer.domElement.id = 'globe-canvas';
-
-  // Lights
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-  scene.add(ambientLight);
-
-  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-  directionalLight.position.set(5, 3, 5);
-  scene.add(directionalLight);
-
-  // Create Earth sphere
-  const geometry = new THREE.SphereGeometry(1, 64, 64);
-
-  // Load Earth texture
-  const textureLoader = new THREE.TextureLoader();
-  const earthTexture = textureLoader.load(
-    'https://unpkg.com/three-globe/example/img/earth-blue-marble.jpg'
-  );
-
-  const material = new THREE.MeshPhongMaterial({
-    map: earthTexture,
-    shininess: 15
-  });
+  updateLoadingStatus('Parsing student data...');
 
-  globe = new THREE.Mesh(geometry, material);
-  scene.add(globe);
+  // Fixtures go through the same consent, geocoding, privacy and field rules as the build
+  if (fixtureUrl) {
+    const { records } = parseStudentCSV(await response.text());
+    const [gazetteer, boundaries] = await Promise.all([loadGazetteer(), loadCountryBoundaries()]);
+    const geocoded = geocodeRecords(records, gazetteer);
+    reportGeocoding(geocoded);
+    return protectLocations(geocoded.records, { gazetteer, boundaries }).map(toPublicRecord);
+  }
 
-  // Add markers for each country
-  addCountryMarkers();
+  const dataset = await response.json();
+  if (dataset.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`Student data was built for schema v${dataset.schemaVersion}, expected v${SCHEMA_VERSION}`);
+  }
 
-  // Mouse controls
-  setupGlobeControls(container);
+  if (dataset.records.length === 0) {
+    console.warn('No student data found with consent. Showing empty map.');
+  }
 
-  // Animation loop
-  animateGlobe();
+  return dataset.records;
 }
 
-function addCountryMarkers() {
-  if (!studentData || studentData.length === 0) return;
-
-  studentData.forEach(data => {
-    // Skip entries without valid coordinates
-    if (!data.lat || !data.lon || data.lat === 0 || data.lon === 0) return;
-
-    // Convert lat/lon to 3D coordinates
-    const phi = (90 - data.lat) * (Math.PI / 180);
-    const theta = (data.lon + 180) * (Math.PI / 180);
+// Make a dataset current and recalculate the totals
+function applyStudentData(records) {
+  studentData = records;
 
-    const radius = 1.02; // Slightly above globe surface
-    const x = -(radius * Math.sin(phi) * Math.cos(theta));
-    const y = radius * Math.cos(phi);
-    const z = radius * Math.sin(phi) * Math.sin(theta);
+  // Calculate statistics
+  totalStories = studentData.length;
 
-    // Create marker
-    const markerGeometry = new THREE.SphereGeometry(0.02, 16, 16);
-    const markerMaterial = new THREE.MeshBasicMaterial({
-      color: 0x9ad0ff,
-      emissive: 0x4a9fff,
-      emissiveIntensity: 0.5
-    });
-    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-    marker.position.set(x, y, z);
-
-    // Store data for interaction
-    marker.userData = data;
-
-    globe.add(marker);
-
-    // Pulsing animation
-    let scale = 1;
-    let growing = true;
-    marker.onBeforeRender = () => {
-      if (growing) {
-        scale += 0.01;
-        if (scale >= 1.3) growing = false;
-      } else {
-        scale -= 0.01;
-        if (scale <= 1) growing = true;
-      }
-      marker.scale.set(scale, scale, scale);
-    };
-  });
+  // Count unique countries
+  totalCountries = aggregateByCountry(studentData).size;
 }
 
-function setupGlobeControls(container) {
-  container.addEventListener('mousedown', (e) => {
-    isGlobeDragging = true;
-    previousMousePosition = { x: e.clientX, y: e.clientY };
-  });
+// Swap in fresh data behind an already-rendered page
+async function refreshLiveData(local) {
+  showDataStatus(`Showing stories saved on ${formatSavedAt(local.savedAt)}. Checking for updates…`);
 
-  window.addEventListener('mousemove', (e) => {
-    if (isGlobeDragging) {
-      const deltaX = e.clientX - previousMousePosition.x;
-      const deltaY = e.clientY - previousMousePosition.y;
+  try {
+    const records = await fetchLiveData();
+    applyStudentData(records);
+    writeCache(records);
+    refreshMarkers();
+    showDataStatus('');
+    console.log(`Refreshed ${records.length} stories`);
+  } catch (error) {
+    console.warn('Live data unavailable, keeping saved stories:', error);
+    showDataStatus(`Live data unavailable — showing stories saved on ${formatSavedAt(local.savedAt)}.`);
+  }
+}
 
-      rotation.y += deltaX * 0.005;
-      rotation.x += deltaY * 0.005;
+// Load student data in layers: this browser's cache first, then the published
+// dataset (in the background when a cached copy exists)
+async function fetchStudentData() {
+  const usingFixture = getFixtureUrl() !== null;
+  const local = usingFixture ? null : readCache();
 
-      // Limit vertical rotation
-      rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotation.x));
+  if (local) {
+    console.log(`Using ${local.source} data saved at ${local.savedAt}`);
+    applyStudentData(local.records);
+    updateLoadingStatus(`Loaded ${totalStories} saved stories`);
 
-      previousMousePosition = { x: e.clientX, y: e.clientY };
+    if (devParams.has('offline')) {
+      showDataStatus(`Offline mode — showing stories saved on ${formatSavedAt(local.savedAt)}.`);
+    } else {
+      refreshLiveData(local);
     }
-  });
 
-  window.addEventListener('mouseup', () => {
-    isGlobeDragging = false;
-  });
+    return studentData;
+  }
 
-  // Touch support
-  container.addEventListener('touchstart', (e) => {
-    isGlobeDragging = true;
-    previousMousePosition = {
-      x: e.touches[0].clientX,
-      y: e.touches[0].clientY
-    };
-  });
+  try {
+    updateLoadingStatus('Loading student stories...');
+    const records = await fetchLiveData();
 
-  window.addEventListener('touchmove', (e) => {
-    if (isGlobeDragging && e.touches.length > 0) {
-      const deltaX = e.touches[0].clientX - previousMousePosition.x;
-      const deltaY = e.touches[0].clientY - previousMousePosition.y;
+    updateLoadingStatus('Processing student stories...');
+    applyStudentData(records);
+    if (!usingFixture) writeCache(records);
 
-      rotation.y += deltaX * 0.005;
-      rotation.x += deltaY * 0.005;
-      rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotation.x));
+    updateLoadingStatus(`Loaded ${totalStories} stories successfully!`);
 
-      previousMousePosition = {
-        x: e.touches[0].clientX,
-        y: e.touches[0].clientY
-      };
-    }
-  });
+    return studentData;
+  } catch (error) {
+    console.error('Error fetching student data:', error);
+    showError(error.message || 'Failed to load student stories');
+    throw error; // Re-throw to handle in caller
+  }
+}
 
-  window.addEventListener('touchend', () => {
-    isGlobeDragging = false;
-  });
+// ===================================
+// 3D GLOBE
+// ===================================
+// Rendering lives in globe.js; globe-fallback.js draws a static map instead
+// when WebGL is missing or the visitor prefers reduced motion
+let globeController = null;
 
-  // Click to navigate to map
-  container.addEventListener('click', (e) => {
-    // Only navigate if not dragging
-    if (!isGlobeDragging) {
-      showMapPage();
-    }
-  });
-}
+function initGlobe() {
+  const container = document.getElementById('globe');
+  if (!container) return;
 
-function animateGlobe() {
-  requestAnimationFrame(animateGlobe);
+  const options = {
+    tooltip: document.getElementById('globe-tooltip'),
+    legend: document.getElementById('globe-legend'),
+    findStory: findStudent,
+    onStoryClick: showStudentStory,
+    onEmptyClick: showMapPage
+  };
 
-  // Apply rotation from user interaction
-  globe.rotation.y = rotation.y;
-  globe.rotation.x = rotation.x;
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  if (supportsWebGL() && !reducedMotion) {
+    try {
+      globeController = createGlobe(container, options);
+    } catch (error) {
+      console.warn('WebGL globe failed to start, showing the static map instead:', error);
+    }
+  }
 
-  // Auto-rotate when not dragging
-  if (!isGlobeDragging) {
-    rotation.y += 0.001;
+  if (!globeController) {
+    globeController = createFallbackGlobe(container, options);
   }
 
-  renderer.render(scene, camera);
+  globeController.setStories(studentData);
+  globeController.start();
 }
 
 // ===================================
 // LEAFLET MAP
 // ===================================
 let map = null;
+let markerLayer = null;
+let densityLayer = null;
+let choroplethLayer = null;
+let choroplethLegend = null;
+let choroplethRequest = 0;
+let countryStats = new Map();
+let studentIcon = null;
+let mapMode = 'markers';
 let currentHighlight = null;
+let highlightRequest = 0;
 
 function initLeafletMap() {
   const container = document.getElementById('map-container');
@@ -433,193 +266,445 @@ function initLeafletMap() {
     subdomains: 'abcd'
   }).addTo(map);
 
-  // Add markers for each student
-  studentData.forEach(data => {
-    // Skip entries without valid coordinates
-    if (!data.lat || !data.lon || data.lat === 0 || data.lon === 0) return;
+  // Boundaries are bundled; start decoding them before the first marker click
+  loadCountryBoundaries().catch(error => console.warn('Country boundaries unavailable:', error.message));
+
+  // Clustered markers by default; the density view is an alternative layer
+  studentIcon = createStudentIcon();
+  markerLayer = createMarkerLayer().addTo(map);
+  densityLayer = typeof L.heatLayer === 'function'
+    ? L.heatLayer([], { radius: 25, blur: 20, maxZoom: 10, minOpacity: 0.35 })
+    : null;
+  choroplethLayer = createChoroplethLayer();
+  choroplethLegend = createChoroplethLegend();
+  renderMapMarkers();
+  addMapModeControl();
+
+  // Popup buttons are recreated on every open, so listen on the container
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('.popup-story-btn');
+    if (button) {
+      showStudentStory(button.dataset.storyId);
+    }
+  });
+
+  // Update dashboard stats
+  updateDashboardStats();
+}
 
-    const marker = L.marker([data.lat, data.lon]).addTo(map);
+// Cluster markers that share a city; falls back to a plain layer if the plugin failed to load
+function createMarkerLayer() {
+  if (typeof L.markerClusterGroup !== 'function') {
+    console.warn('Leaflet.markercluster not loaded, showing unclustered markers');
+    return L.layerGroup();
+  }
 
-    // Create detailed popup with student information
-    const popupContent = `
-      <div style="font-family: 'Montserrat', sans-serif; max-width: 300px;">
-        <h3 style="margin: 0 0 10px; font-size: 18px; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 5px;">
-          ${data.fullName}
-        </h3>
+  return L.markerClusterGroup({
+    chunkedLoading: true,
+    showCoverageOnHover: false,
+    spiderfyOnMaxZoom: true,
+    maxClusterRadius: 50,
+    iconCreateFunction: cluster => {
+      const count = cluster.getChildCount();
+      const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+      return L.divIcon({
+        className: 'story-cluster',
+        html: `<div class="story-cluster-badge" style="width: ${size}px; height: ${size}px;">${count}</div>`,
+        iconSize: [size, size]
+      });
+    }
+  });
+}
 
-        <div style="margin-bottom: 10px;">
-          <p style="margin: 3px 0; font-size: 13px;"><strong>📍 Location:</strong> ${data.city}, ${data.country}</p>
-          ${data.age ? `<p style="margin: 3px 0; font-size: 13px;"><strong>🎂 Age:</strong> ${data.age}</p>` : ''}
-          ${data.region ? `<p style="margin: 3px 0; font-size: 13px;"><strong>🏠 From:</strong> ${data.region}, Kazakhstan</p>` : ''}
-        </div>
+// One shared icon keeps thousands of markers cheap
+function createStudentIcon() {
+  return L.divIcon({
+    className: 'custom-marker',
+    html: `<div style="
+      width: 30px;
+      height: 30px;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      border-radius: 50%;
+      border: 3px solid white;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      color: white;
+      font-weight: bold;
+      font-size: 18px;
+    ">📍</div>`,
+    iconSize: [30, 30],
+    iconAnchor: [15, 15]
+  });
+}
 
-        ${data.institution ? `
-          <div style="margin-bottom: 10px; padding: 8px; background: #f5f7fa; border-radius: 5px;">
-            <p style="margin: 3px 0; font-size: 13px;"><strong>🎓 ${data.studyOrWork}:</strong></p>
-            <p style="margin: 3px 0; font-size: 12px;">${data.institution}</p>
-            ${data.degree ? `<p style="margin: 3px 0; font-size: 12px;"><em>${data.degree}</em></p>` : ''}
-            ${data.specialization ? `<p style="margin: 3px 0; font-size: 12px;">${data.specialization}</p>` : ''}
-            ${data.yearOrStage ? `<p style="margin: 3px 0; font-size: 12px;">${data.yearOrStage}</p>` : ''}
-          </div>
-        ` : ''}
-
-        ${data.motivation ? `
-          <div style="margin-bottom: 8px;">
-            <p style="margin: 3px 0; font-size: 12px; font-weight: bold; color: #555;">💭 Motivation:</p>
-            <p style="margin: 3px 0; font-size: 11px; color: #666; line-height: 1.4;">${data.motivation.substring(0, 150)}${data.motivation.length > 150 ? '...' : ''}</p>
-          </div>
-        ` : ''}
-
-        ${data.advice ? `
-          <div style="margin-bottom: 8px;">
-            <p style="margin: 3px 0; font-size: 12px; font-weight: bold; color: #555;">💡 Advice:</p>
-            <p style="margin: 3px 0; font-size: 11px; color: #666; line-height: 1.4;">${data.advice.substring(0, 150)}${data.advice.length > 150 ? '...' : ''}</p>
-          </div>
-        ` : ''}
-
-        ${data.socialMedia ? `
-          <p style="margin-top: 10px; font-size: 12px;">
-            <a href="${data.socialMedia}" target="_blank" style="color: #667eea; text-decoration: none;">
-              🔗 Connect on Social Media
-            </a>
-          </p>
-        ` : ''}
-
-        <button onclick="showStudentStory('${data.fullName}')" style="
-          margin-top: 10px;
-          width: 100%;
-          padding: 8px;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
-          border: none;
-          border-radius: 5px;
-          cursor: pointer;
-          font-size: 12px;
-          font-weight: bold;
-        ">
-          Read Full Story
-        </button>
+// Popup HTML for one student
+function buildPopupContent(data) {
+  // Every answer comes from the public form, so escape it all before building HTML
+  const esc = escapeHTML;
+  const excerpt = text => esc(text.substring(0, 150)) + (text.length > 150 ? '...' : '');
+  const socialLink = safeSocialLinks(data.socialMedia)[0];
+
+  // Create detailed popup with student information
+  return `
+    <div style="font-family: 'Montserrat', sans-serif; max-width: 300px;">
+      <h3 style="margin: 0 0 10px; font-size: 18px; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 5px;">
+        ${esc(data.fullName)}
+      </h3>
+
+      <div style="margin-bottom: 10px;">
+        <p style="margin: 3px 0; font-size: 13px;"><strong>📍 Location:</strong> ${esc(data.city)}, ${esc(data.country)}</p>
+        ${data.age ? `<p style="margin: 3px 0; font-size: 13px;"><strong>🎂 Age:</strong> ${esc(data.age)}</p>` : ''}
+        ${data.region ? `<p style="margin: 3px 0; font-size: 13px;"><strong>🏠 From:</strong> ${esc(data.region)}, Kazakhstan</p>` : ''}
       </div>
-    `;
 
-    marker.bindPopup(popupContent, { maxWidth: 350 });
+      ${data.institution ? `
+        <div style="margin-bottom: 10px; padding: 8px; background: #f5f7fa; border-radius: 5px;">
+          <p style="margin: 3px 0; font-size: 13px;"><strong>🎓 ${esc(data.studyOrWork)}:</strong></p>
+          <p style="margin: 3px 0; font-size: 12px;">${esc(data.institution)}</p>
+          ${data.degree ? `<p style="margin: 3px 0; font-size: 12px;"><em>${esc(data.degree)}</em></p>` : ''}
+          ${data.specialization ? `<p style="margin: 3px 0; font-size: 12px;">${esc(data.specialization)}</p>` : ''}
+          ${data.yearOrStage ? `<p style="margin: 3px 0; font-size: 12px;">${esc(data.yearOrStage)}</p>` : ''}
+        </div>
+      ` : ''}
 
-    // Customize marker icon
-    const customIcon = L.divIcon({
-      className: 'custom-marker',
-      html: `<div style="
-        width: 30px;
-        height: 30px;
+      ${data.motivation ? `
+        <div style="margin-bottom: 8px;">
+          <p style="margin: 3px 0; font-size: 12px; font-weight: bold; color: #555;">💭 Motivation:</p>
+          <p style="margin: 3px 0; font-size: 11px; color: #666; line-height: 1.4;">${excerpt(data.motivation)}</p>
+        </div>
+      ` : ''}
+
+      ${data.advice ? `
+        <div style="margin-bottom: 8px;">
+          <p style="margin: 3px 0; font-size: 12px; font-weight: bold; color: #555;">💡 Advice:</p>
+          <p style="margin: 3px 0; font-size: 11px; color: #666; line-height: 1.4;">${excerpt(data.advice)}</p>
+        </div>
+      ` : ''}
+
+      ${socialLink ? `
+        <p style="margin-top: 10px; font-size: 12px;">
+          <a href="${esc(socialLink.href)}" target="_blank" rel="noopener noreferrer" style="color: #667eea; text-decoration: none;">
+            🔗 Connect on ${socialLink.label}
+          </a>
+        </p>
+      ` : ''}
+
+      <button class="popup-story-btn" data-story-id="${esc(data.id)}" style="
+        margin-top: 10px;
+        width: 100%;
+        padding: 8px;
         background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        border-radius: 50%;
-        border: 3px solid white;
-        box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-        display: flex;
-        align-items: center;
-        justify-content: center;
         color: white;
+        border: none;
+        border-radius: 5px;
+        cursor: pointer;
+        font-size: 12px;
         font-weight: bold;
-        font-size: 18px;
-      ">📍</div>`,
-      iconSize: [30, 30],
-      iconAnchor: [15, 15]
-    });
+      ">
+        Read Full Story
+      </button>
+    </div>
+  `;
+}
+
+// Add a marker for each student that passes the filters and has coordinates
+function renderMapMarkers() {
+  const markers = [];
+  const points = [];
+
+  visibleData.forEach(data => {
+    // Stories the build could not place have no position
+    if (!hasCoordinates(data)) return;
 
-    marker.setIcon(customIcon);
+    const marker = L.marker([data.lat, data.lon], { icon: studentIcon });
+
+    // Popups are built when opened, not up front for every story
+    marker.bindPopup(() => buildPopupContent(data), { maxWidth: 350 });
 
     // Add click event to highlight country boundaries
     marker.on('click', () => {
       highlightCountry(data.country);
     });
+
+    markers.push(marker);
+    points.push([data.lat, data.lon]);
   });
 
-  // Update dashboard stats
-  updateDashboardStats();
+  // Bulk add lets the cluster group index everything in one pass
+  markerLayer.clearLayers();
+  if (markerLayer.addLayers) {
+    markerLayer.addLayers(markers);
+  } else {
+    markers.forEach(marker => markerLayer.addLayer(marker));
+  }
+
+  if (densityLayer) {
+    densityLayer.setLatLngs(points);
+  }
+
+  renderChoropleth();
 }
 
-// Function to show full student story (can be expanded later)
-function showStudentStory(studentName) {
-  const student = studentData.find(s => s.fullName === studentName);
-  if (!student) return;
+// The layer behind each map mode; null when its plugin failed to load
+function mapModeLayer(mode) {
+  if (mode === 'density') return densityLayer;
+  if (mode === 'countries') return choroplethLayer;
+  return markerLayer;
+}
+
+// Switch between clustered markers, the density heatmap and the country shading
+function setMapMode(mode) {
+  mapMode = mapModeLayer(mode) ? mode : 'markers';
+
+  [markerLayer, densityLayer, choroplethLayer].forEach(layer => {
+    if (layer && map.hasLayer(layer)) map.removeLayer(layer);
+  });
+  mapModeLayer(mapMode).addTo(map);
+
+  if (mapMode === 'countries') {
+    choroplethLegend.addTo(map);
+  } else {
+    choroplethLegend.remove();
+  }
+
+  document.querySelectorAll('.map-mode-btn').forEach(button => {
+    const active = button.dataset.mode === mapMode;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-pressed', String(active));
+  });
+}
+
+function addMapModeControl() {
+  const modes = [
+    { mode: 'markers', label: 'Stories' },
+    { mode: 'density', label: 'Density' },
+    { mode: 'countries', label: 'Countries' }
+  ].filter(({ mode }) => mapModeLayer(mode));
+
+  const control = L.control({ position: 'topright' });
+  control.onAdd = () => {
+    const wrapper = L.DomUtil.create('div', 'map-mode-control');
+    modes.forEach(({ mode, label }) => {
+      const button = L.DomUtil.create('button', 'map-mode-btn', wrapper);
+      button.type = 'button';
+      button.dataset.mode = mode;
+      button.textContent = label;
+    });
+    L.DomEvent.disableClickPropagation(wrapper);
+    wrapper.addEventListener('click', (e) => {
+      const button = e.target.closest('.map-mode-btn');
+      if (button) setMapMode(button.dataset.mode);
+    });
+    return wrapper;
+  };
+  control.addTo(map);
+  setMapMode(mapMode);
+}
+
+// Country shading: each host country coloured by its number of visible stories
+const CHOROPLETH_STEPS = [
+  { min: 50, color: '#3f2b96' },
+  { min: 25, color: '#5a3fae' },
+  { min: 10, color: '#764ba2' },
+  { min: 5, color: '#667eea' },
+  { min: 2, color: '#8fa4f3' },
+  { min: 1, color: '#c3cffa' }
+];
+
+function choroplethColor(count) {
+  const step = CHOROPLETH_STEPS.find(({ min }) => count >= min);
+  return step ? step.color : 'transparent';
+}
+
+function choroplethStyle(feature) {
+  const stats = countryStats.get(feature.properties.name);
+  return {
+    color: '#ffffff',
+    weight: 1,
+    opacity: 0.8,
+    fillColor: choroplethColor(stats ? stats.count : 0),
+    fillOpacity: 0.75
+  };
+}
+
+function createChoroplethLayer() {
+  return L.geoJSON(null, {
+    style: choroplethStyle,
+    onEachFeature: (feature, layer) => {
+      const name = feature.properties.name;
+
+      layer.bindTooltip(() => buildCountryTooltip(countryStats.get(name)), {
+        sticky: true,
+        className: 'country-tooltip'
+      });
+
+      layer.on('mouseover', () => {
+        layer.setStyle({ weight: 3, color: '#9ad0ff' });
+        layer.bringToFront();
+      });
+      layer.on('mouseout', () => {
+        choroplethLayer.resetStyle(layer);
+      });
+
+      // Clicking a country narrows the stories to it and shows their markers
+      layer.on('click', () => {
+        filterState.country = name;
+        populateFilterOptions();
+        applyFilters();
+        setMapMode('markers');
+        highlightCountry(name);
+      });
+    }
+  });
+}
+
+// Tooltip HTML: total, study/work split and the most common institutions
+function buildCountryTooltip(stats) {
+  if (!stats) return '';
+
+  const esc = escapeHTML;
+  const institutions = stats.institutions.slice(0, 3)
+    .map(({ value, count }) => `<li>${esc(value)} (${count})</li>`)
+    .join('');
+
+  return `
+    <strong>${esc(stats.country)}</strong>
+    <div>${stats.count} ${stats.count === 1 ? 'story' : 'stories'}</div>
+    <div>Studying: ${stats.studying} · Working: ${stats.working}</div>
+    ${institutions ? `<div class="country-tooltip-heading">Top institutions</div><ol>${institutions}</ol>` : ''}
+  `;
+}
+
+function createChoroplethLegend() {
+  const legend = L.control({ position: 'bottomright' });
+  legend.onAdd = () => {
+    const wrapper = L.DomUtil.create('div', 'map-legend');
+    const steps = [...CHOROPLETH_STEPS].reverse();
+
+    wrapper.innerHTML = '<div class="map-legend-title">Stories per country</div>' + steps.map(({ min, color }, i) => {
+      const next = steps[i + 1];
+      const range = next ? (next.min - 1 > min ? `${min}–${next.min - 1}` : `${min}`) : `${min}+`;
+      return `<div class="map-legend-row"><span class="map-legend-swatch" style="background: ${color};"></span>${range}</div>`;
+    }).join('');
+
+    return wrapper;
+  };
+  return legend;
+}
+
+// Rebuild the shading from the visible stories once boundaries are available
+async function renderChoropleth() {
+  if (!choroplethLayer) return;
+
+  const request = ++choroplethRequest;
+  const stats = aggregateByCountry(visibleData);
+
+  let boundaries;
+  try {
+    boundaries = await loadCountryBoundaries();
+  } catch (error) {
+    return;
+  }
+  if (request !== choroplethRequest) return;
 
-  // For now, just alert with full info. You can create a modal later
-  alert(`Full story for ${studentName}:\n\n${student.unique || 'Story coming soon...'}`);
+  countryStats = stats;
+  choroplethLayer.clearLayers();
+  stats.forEach((entry, name) => {
+    const feature = boundaries.get(name);
+    if (feature) choroplethLayer.addData(feature);
+  });
 }
 
-// Make function globally accessible for popup button clicks
-window.showStudentStory = showStudentStory;
+// Redraw globe and map markers after the dataset changes
+function refreshMarkers() {
+  if (globeController) {
+    globeController.setStories(studentData);
+  }
+
+  resetTimeline();
+  populateFilterOptions();
+  applyFilters({ updateURL: false });
+}
+
+// Look up a story by its stable ID
+function findStudent(storyId) {
+  return studentData.find(s => s.id === storyId) || null;
+}
+
+// Open the full story modal for a student
+function showStudentStory(storyId) {
+  const student = findStudent(storyId);
+  if (!student) return;
+
+  openStory(student);
+}
 
-// Highlight country boundaries
-async function highlightCountry(countryName) {
+// Highlight country boundaries from the bundled world map
+async function highlightCountry(countryAnswer) {
   // Remove previous highlight
   if (currentHighlight) {
     map.removeLayer(currentHighlight);
     currentHighlight = null;
   }
 
-  // Map country names to ISO codes for the API
-  const countryMap = {
-    'United States': 'USA',
-    'United Kingdom': 'GBR',
-    'Germany': 'DEU',
-    'Canada': 'CAN',
-    'Turkey': 'TUR',
-    'Russia': 'RUS',
-    'South Korea': 'KOR',
-    'China': 'CHN',
-    'UAE': 'ARE',
-    'Australia': 'AUS',
-    'Poland': 'POL',
-    'Czech Republic': 'CZE'
-  };
+  const countryName = resolveCountry(countryAnswer);
+  if (!countryName) return;
 
-  const isoCode = countryMap[countryName];
-  if (!isoCode) return;
+  // Only the latest click wins if boundaries are still loading
+  const request = ++highlightRequest;
 
   try {
-    // Fetch country GeoJSON from REST Countries API
-    const response = await fetch(`https://restcountries.com/v3.1/alpha/${isoCode}`);
-    const data = await response.json();
-
-    if (data && data[0]) {
-      // Get borders from OpenStreetMap Nominatim (alternative approach)
-      const nominatimResponse = await fetch(
-        `https://nominatim.openstreetmap.org/search?country=${countryName}&polygon_geojson=1&format=json&limit=1`
-      );
-      const geoData = await nominatimResponse.json();
-
-      if (geoData && geoData[0] && geoData[0].geojson) {
-        // Create GeoJSON layer
-        currentHighlight = L.geoJSON(geoData[0].geojson, {
-          style: {
-            color: '#9ad0ff',
-            weight: 3,
-            opacity: 0.8,
-            fillColor: '#667eea',
-            fillOpacity: 0.3
-          }
-        }).addTo(map);
-
-        // Zoom to country bounds
-        map.fitBounds(currentHighlight.getBounds(), { padding: [50, 50] });
+    const feature = await countryBoundary(countryName);
+    if (!feature || request !== highlightRequest) return;
+
+    currentHighlight = L.geoJSON(feature, {
+      style: {
+        color: '#9ad0ff',
+        weight: 3,
+        opacity: 0.8,
+        fillColor: '#667eea',
+        fillOpacity: 0.3
       }
-    }
+    }).addTo(map);
+
+    // Zoom to country bounds
+    map.fitBounds(currentHighlight.getBounds(), { padding: [50, 50] });
   } catch (error) {
     console.log('Could not load country boundaries for', countryName);
   }
 }
 
-function updateDashboardStats() {
-  // Animate counting up
-  animateCount('total-students', totalStudents);
-  animateCount('total-countries', totalCountries);
-  animateCount('latest-story', totalStories);
+// Counters and charts reflect the stories currently shown on the map
+function updateDashboardStats(animate = true) {
+  const summary = summarizeStories(visibleData);
+  const show = animate ? animateCount : setCount;
+
+  show('total-students', summary.total);
+  show('total-countries', summary.countries.length);
+  renderLatestStory(summary.latest);
+  renderStatsPanel(summary);
+}
+
+// One running count-up per counter
+const countTimers = new Map();
+
+function setCount(elementId, value) {
+  clearInterval(countTimers.get(elementId));
+  countTimers.delete(elementId);
+
+  const element = document.getElementById(elementId);
+  if (element) element.textContent = value;
 }
 
 function animateCount(elementId, target) {
   const element = document.getElementById(elementId);
   if (!element) return;
 
+  // Re-opening the map restarts the count instead of racing the old one
+  clearInterval(countTimers.get(elementId));
+
   let current = 0;
   const increment = target / 50;
   const timer = setInterval(() => {
@@ -627,10 +712,434 @@ function animateCount(elementId, target) {
     if (current >= target) {
       element.textContent = target;
       clearInterval(timer);
+      countTimers.delete(elementId);
     } else {
       element.textContent = Math.floor(current);
     }
   }, 20);
+  countTimers.set(elementId, timer);
+}
+
+// ===================================
+// STATISTICS PANEL
+// ===================================
+const STATS_TOP_ITEMS = 5;
+
+function initStatsPanel() {
+  const latestCard = document.getElementById('latest-story');
+  if (!latestCard) return;
+
+  latestCard.addEventListener('click', () => {
+    if (latestCard.dataset.storyId) {
+      showStudentStory(latestCard.dataset.storyId);
+    }
+  });
+}
+
+// Name, place and date of the newest visible story
+function renderLatestStory(latest) {
+  const card = document.getElementById('latest-story');
+  if (!card) return;
+
+  const name = document.getElementById('latest-story-name');
+  const meta = document.getElementById('latest-story-meta');
+  card.disabled = !latest;
+
+  if (!latest) {
+    delete card.dataset.storyId;
+    name.textContent = '—';
+    meta.textContent = '';
+    return;
+  }
+
+  const { record, time } = latest;
+  card.dataset.storyId = record.id;
+  name.textContent = record.fullName;
+  meta.textContent = [record.city || recordCountry(record), formatSubmissionDate(time)]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function renderStatsPanel(summary) {
+  renderBarChart('stats-countries', summary.countries, summary.total);
+  renderBarChart('stats-institutions', summary.institutions, summary.total);
+  renderBarChart('stats-occupations', summary.occupations, summary.total);
+  renderBarChart('stats-funding', summary.funding, summary.total);
+  renderBarChart('stats-return', summary.returnIntentions, summary.total);
+  renderSatisfaction(summary.satisfaction);
+}
+
+// Bar track whose fill shows a share from 0 to 1
+function createMeter(share) {
+  const track = document.createElement('span');
+  track.className = 'stats-bar-track';
+
+  const fill = document.createElement('span');
+  fill.className = 'stats-bar-fill';
+  fill.style.width = `${Math.round(share * 100)}%`;
+
+  track.appendChild(fill);
+  return track;
+}
+
+function createEmptyNote(tagName) {
+  const note = document.createElement(tagName);
+  note.className = 'stats-empty';
+  note.textContent = 'No answers yet';
+  return note;
+}
+
+// The most common answers as bars sized by their share of the visible stories
+function renderBarChart(elementId, entries, total) {
+  const list = document.getElementById(elementId);
+  if (!list) return;
+
+  if (entries.length === 0) {
+    list.replaceChildren(createEmptyNote('li'));
+    return;
+  }
+
+  list.replaceChildren(...entries.slice(0, STATS_TOP_ITEMS).map(({ value, count }) => {
+    const item = document.createElement('li');
+    item.className = 'stats-bar';
+    item.title = `${value}: ${count} of ${total} stories`;
+
+    const label = document.createElement('span');
+    label.className = 'stats-bar-label';
+    label.textContent = value;
+
+    const figure = document.createElement('span');
+    figure.className = 'stats-bar-count';
+    figure.textContent = count;
+
+    item.append(label, createMeter(count / total), figure);
+    return item;
+  }));
+}
+
+function renderSatisfaction({ average, responses }) {
+  const container = document.getElementById('stats-satisfaction');
+  if (!container) return;
+
+  if (average === null) {
+    container.replaceChildren(createEmptyNote('p'));
+    return;
+  }
+
+  const value = document.createElement('span');
+  value.className = 'stats-score-value';
+  value.textContent = average.toFixed(1);
+
+  const scale = document.createElement('span');
+  scale.className = 'stats-score-scale';
+  scale.textContent = '/ 10';
+
+  const note = document.createElement('p');
+  note.className = 'stats-score-note';
+  note.textContent = `Average of ${responses} ${responses === 1 ? 'answer' : 'answers'}`;
+
+  container.replaceChildren(value, scale, createMeter(average / 10), note);
+}
+
+// ===================================
+// MAP FILTERS
+// ===================================
+let filterState = readFiltersFromURL();
+let visibleData = [];
+const MAX_LISTED_RESULTS = 100;
+
+function initFilterPanel() {
+  const panel = document.getElementById('filter-panel');
+  const facetContainer = document.getElementById('filter-facets');
+  if (!panel || !facetContainer) return;
+
+  FILTER_FACETS.forEach(facet => {
+    const label = document.createElement('label');
+    label.className = 'filter-label';
+    label.htmlFor = `filter-${facet.key}`;
+    label.textContent = facet.label;
+
+    const select = document.createElement('select');
+    select.id = `filter-${facet.key}`;
+    select.className = 'filter-select';
+    select.dataset.filter = facet.key;
+
+    facetContainer.append(label, select);
+  });
+
+  populateFilterOptions();
+
+  const searchInput = document.getElementById('filter-q');
+  searchInput.value = filterState.q;
+
+  // Typing shouldn't redraw thousands of markers on every key
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      filterState.q = searchInput.value.trim();
+      applyFilters();
+    }, 150);
+  });
+
+  panel.addEventListener('change', (e) => {
+    const key = e.target.dataset.filter;
+    if (key && key !== 'q') {
+      filterState[key] = e.target.value;
+      applyFilters();
+    }
+  });
+
+  document.getElementById('filter-reset').addEventListener('click', () => {
+    filterState = emptyFilterState();
+    searchInput.value = '';
+    populateFilterOptions();
+    applyFilters();
+  });
+
+  // Result rows open the story they describe
+  document.getElementById('filter-results').addEventListener('click', (e) => {
+    const button = e.target.closest('.filter-result');
+    if (button) {
+      showStudentStory(button.dataset.storyId);
+    }
+  });
+}
+
+// Fill each facet select from the current dataset, keeping the chosen value
+function populateFilterOptions() {
+  FILTER_FACETS.forEach(facet => {
+    const select = document.getElementById(`filter-${facet.key}`);
+    if (!select) return;
+
+    const selected = filterState[facet.key];
+    const options = facetOptions(studentData, facet);
+
+    // A value from a shared link may not exist in this dataset; keep it visible
+    if (selected && !options.some(option => option.value.toLowerCase() === selected.toLowerCase())) {
+      options.unshift({ value: selected, count: 0 });
+    }
+
+    select.replaceChildren(new Option('All', ''));
+    options.forEach(({ value, count }) => {
+      select.appendChild(new Option(`${value} (${count})`, value));
+    });
+
+    const match = options.find(option => option.value.toLowerCase() === selected.toLowerCase());
+    select.value = match ? match.value : '';
+  });
+}
+
+// Recompute the visible stories and update markers, counters, the timeline and
+// the result list
+function applyFilters({ updateURL = true } = {}) {
+  const matching = filterRecords(studentData, filterState);
+  visibleData = timelineCutoff === null
+    ? matching
+    : matching.filter(record => {
+      const time = parseTimestamp(record.timestamp);
+      return time !== null && time <= timelineCutoff;
+    });
+
+  if (updateURL) {
+    writeFiltersToURL(filterState);
+  }
+
+  if (map) {
+    renderMapMarkers();
+    updateDashboardStats(false);
+  }
+
+  renderTimeline(matching);
+  renderResultsList();
+}
+
+function renderResultsList() {
+  const list = document.getElementById('filter-results');
+  const count = document.getElementById('filter-count');
+  if (!list || !count) return;
+
+  count.textContent = isFiltered(filterState) || timelineCutoff !== null
+    ? `${visibleData.length} of ${studentData.length} stories match`
+    : `${studentData.length} stories`;
+
+  list.replaceChildren();
+  visibleData.slice(0, MAX_LISTED_RESULTS).forEach(student => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'filter-result';
+    button.dataset.storyId = student.id;
+
+    const name = document.createElement('span');
+    name.className = 'filter-result-name';
+    name.textContent = student.fullName;
+
+    const meta = document.createElement('span');
+    meta.className = 'filter-result-meta';
+    meta.textContent = [[student.city, student.country].filter(Boolean).join(', '), student.institution]
+      .filter(Boolean)
+      .join(' · ');
+
+    button.append(name, meta);
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+
+  if (visibleData.length > MAX_LISTED_RESULTS) {
+    const more = document.createElement('li');
+    more.className = 'filter-result-meta';
+    more.textContent = `…and ${visibleData.length - MAX_LISTED_RESULTS} more. Narrow the filters to see them.`;
+    list.appendChild(more);
+  }
+}
+
+// ===================================
+// MAP TIMELINE
+// ===================================
+// Replays submissions in the order they arrived. The slider position is the
+// number of dated stories submitted so far; at the far end every story shows,
+// including those whose timestamp can't be read.
+const PLAYBACK_DURATION_MS = 10000;
+const PLAYBACK_MAX_TICKS = 200;
+const TIMELINE_TOP_COUNTRIES = 5;
+
+let timelineTimes = [];
+let timelineCutoff = null;
+let playbackTimer = null;
+
+function initTimeline() {
+  const slider = document.getElementById('timeline-slider');
+  const playButton = document.getElementById('timeline-play');
+  if (!slider || !playButton) return;
+
+  slider.addEventListener('input', () => {
+    stopPlayback();
+    setTimelinePosition(Number(slider.value));
+  });
+
+  playButton.addEventListener('click', () => {
+    if (playbackTimer) {
+      stopPlayback();
+    } else {
+      startPlayback();
+    }
+  });
+
+  resetTimeline();
+}
+
+// Order the current dataset by submission time and show all of it
+function resetTimeline() {
+  stopPlayback();
+  timelineTimes = studentData
+    .map(record => parseTimestamp(record.timestamp))
+    .filter(time => time !== null)
+    .sort((a, b) => a - b);
+  timelineCutoff = null;
+
+  const timeline = document.getElementById('timeline');
+  const slider = document.getElementById('timeline-slider');
+  if (!timeline || !slider) return;
+
+  // Nothing to replay without at least two dated stories
+  timeline.hidden = timelineTimes.length < 2;
+  slider.max = timelineTimes.length;
+  slider.value = timelineTimes.length;
+}
+
+// Show the first `position` submissions (every story at the far end)
+function setTimelinePosition(position) {
+  timelineCutoff = position < timelineTimes.length ? timelineTimes[position - 1] : null;
+  document.getElementById('timeline-slider').value = position;
+  applyFilters({ updateURL: false });
+}
+
+// Long datasets skip several stories per tick so a replay never drags on
+function startPlayback() {
+  const total = timelineTimes.length;
+  if (total < 2) return;
+
+  const ticks = Math.min(total, PLAYBACK_MAX_TICKS);
+  const step = Math.ceil(total / ticks);
+  let position = Number(document.getElementById('timeline-slider').value);
+
+  // Replay from the first story unless paused part-way
+  if (position >= total) {
+    position = 1;
+    setTimelinePosition(position);
+  }
+
+  playbackTimer = setInterval(() => {
+    position = Math.min(position + step, total);
+    setTimelinePosition(position);
+    if (position >= total) stopPlayback();
+  }, PLAYBACK_DURATION_MS / ticks);
+  updatePlayButton();
+}
+
+function stopPlayback() {
+  clearInterval(playbackTimer);
+  playbackTimer = null;
+  updatePlayButton();
+}
+
+function updatePlayButton() {
+  const playButton = document.getElementById('timeline-play');
+  if (!playButton) return;
+
+  playButton.textContent = playbackTimer ? '❚❚ Pause' : '▶ Play';
+  playButton.setAttribute('aria-pressed', String(Boolean(playbackTimer)));
+}
+
+const formatSubmissionDate = time => new Date(time).toLocaleDateString('en-US', {
+  day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+});
+
+const formatTimelineMonth = time => new Date(time).toLocaleDateString('en-US', {
+  month: 'short', year: 'numeric', timeZone: 'UTC'
+});
+
+// Position label, countries so far and new stories per month for the stories
+// that match the filters
+function renderTimeline(matching) {
+  const timeline = document.getElementById('timeline');
+  if (!timeline || timeline.hidden) return;
+
+  document.getElementById('timeline-label').textContent = timelineCutoff === null
+    ? `All ${visibleData.length} stories`
+    : `${formatSubmissionDate(timelineCutoff)} · ${visibleData.length} stories`;
+
+  const countries = [...aggregateByCountry(visibleData).values()]
+    .sort((a, b) => b.count - a.count || a.country.localeCompare(b.country))
+    .slice(0, TIMELINE_TOP_COUNTRIES);
+  document.getElementById('timeline-countries').textContent = countries
+    .map(({ country, count }) => `${country} ${count}`)
+    .join(' · ');
+
+  const months = growthByMonth(matching);
+  const busiest = Math.max(1, ...months.map(month => month.added));
+
+  document.getElementById('timeline-months').replaceChildren(...months.map(month => {
+    const item = document.createElement('li');
+    item.className = 'timeline-month';
+    item.classList.toggle('reached', timelineCutoff === null || month.start <= timelineCutoff);
+    item.title = `${formatTimelineMonth(month.start)}: ${month.added} new, ${month.total} in total`;
+
+    const count = document.createElement('span');
+    count.textContent = month.added ? `+${month.added}` : '';
+
+    const bar = document.createElement('span');
+    bar.className = 'timeline-month-bar';
+    bar.style.height = `${Math.round((month.added / busiest) * 56)}px`;
+
+    const label = document.createElement('span');
+    label.className = 'timeline-month-label';
+    label.textContent = formatTimelineMonth(month.start);
+
+    item.append(count, bar, label);
+    return item;
+  }));
 }
 
 // ===================================
@@ -639,6 +1148,9 @@ function animateCount(elementId, target) {
 function showMapPage() {
   document.body.classList.add('show-map');
 
+  // The map page covers the globe, so don't keep drawing it
+  if (globeController) globeController.stop();
+
   // Initialize map when shown
   setTimeout(() => {
     if (!map) {
@@ -651,6 +1163,8 @@ function showMapPage() {
 
 function hideMapPage() {
   document.body.classList.remove('show-map');
+  stopPlayback();
+  if (globeController) globeController.start();
 }
 
 // ===================================
@@ -663,11 +1177,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Check if required libraries are loaded
     console.log('Checking dependencies...');
-    console.log('- THREE.js:', typeof THREE !== 'undefined' ? '✓ Loaded' : '✗ Missing');
+    console.log('- WebGL:', supportsWebGL() ? '✓ Available' : '✗ Missing (static globe)');
     console.log('- Leaflet:', typeof L !== 'undefined' ? '✓ Loaded' : '✗ Missing');
-    console.log('- PapaParse:', typeof Papa !== 'undefined' ? '✓ Loaded' : '✗ Missing');
 
-    // Fetch student data from Google Sheets
+    // Fetch student data (cache, then data/students.json)
     await fetchStudentData();
 
     console.log(`Loaded ${studentData.length} student stories from ${totalCountries} countries`);
@@ -675,6 +1188,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize 3D globe
     initGlobe();
 
+    // Map filters come from the URL query; a shared filtered link opens the map
+    initFilterPanel();
+    initTimeline();
+    initStatsPanel();
+    applyFilters({ updateURL: false });
+    if (isFiltered(filterState)) {
+      showMapPage();
+    }
+
+    // Full stories open in a modal and can be deep-linked via #story/<id>
+    initStoryModal({
+      getKey: student => student.id,
+      findByKey: findStudent
+    });
+    openStoryFromHash();
+
     // Hide loading overlay after a short delay
     setTimeout(() => {
       hideLoadingOverlay();
@@ -687,7 +1216,6 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Navigation buttons
   const backBtn = document.getElementById('back-btn');
-  const globeElement = document.getElementById('globe');
   const mapLinks = document.querySelectorAll('a[href="#map-page"], .map-link');
 
   // Note: Contribute button now links directly to Google Forms, no JS needed
@@ -730,20 +1258,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     card.setAttribute('tabindex', '0');
   });
 
-  // Handle window resize for globe
-  window.addEventListener('resize', () => {
-    if (renderer && camera) {
-      const container = document.getElementById('globe');
-      if (container) {
-        const width = container.clientWidth;
-        const height = container.clientHeight;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
-        renderer.setSize(width, height);
-      }
-    }
-  });
-
   // ===================================
   // MOBILE NAVIGATION
   // ===================================
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// ===================================
+// BUILD articles-data.js FROM articles/*.md AND authors/*.md
+// ===================================
+// Every Markdown file in articles/ is one article, and its file name is the ID
+// used in article.html?id=... The YAML front matter holds the metadata; the
+// body is compiled to HTML (see markdown.js). readTime and the byline are
+// worked out here, and each "City, Country" in `locations` is checked against
+// countries.js so the map link it becomes can find stories.
+//
+// authors/ is the registry of writers, one file per person: the file name is
+// the ID articles list under `authors` (and author.html?id=...), the front
+// matter holds name, region, country, photo and links, and the body is the
+// bio. A missing or malformed field fails the build, listing every problem at
+// once, and nothing is written.
+//
+// Usage (Node 20+):
+//   node scripts/build-articles.mjs [articles] [articles-data.js] [authors]
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, basename } from 'node:path';
+import { parseFrontMatter, markdownToHTML } from '../markdown.js';
+import { resolveCountry } from '../countries.js';
+import { resolveHomeRegion } from '../kz-regions.js';
+import { parseSocialLink } from '../sanitize.js';
+
+const [sourceDir = 'articles', output = 'articles-data.js', authorsDir = 'authors'] = process.argv.slice(2);
+
+const REQUIRED_FIELDS = ['category', 'title', 'subtitle', 'authors', 'date'];
+const OPTIONAL_FIELDS = ['image', 'tags', 'featured', 'pdf', 'locations'];
+const AUTHOR_REQUIRED_FIELDS = ['name'];
+const AUTHOR_OPTIONAL_FIELDS = ['region', 'country', 'photo', 'links'];
+const WORDS_PER_MINUTE = 200;
+
+// "Seoul, South Korea" -> { city: 'Seoul', country: 'South Korea' }; a country
+// alone leaves the city blank. null when the country isn't recognised.
+function parseLocation(text) {
+  const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+  const country = resolveCountry(parts.pop());
+  return country ? { city: parts.join(', '), country } : null;
+}
+
+// "https://instagram.com/name" -> { href, label: 'Instagram' }; other sites
+// are labelled by their host name. null unless it's a web or mailto URL.
+function parseLink(text) {
+  let url;
+  try {
+    url = new URL(String(text).trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol === 'mailto:') return { href: url.href, label: 'Email' };
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+  const social = parseSocialLink(url.href);
+  return { href: url.href, label: social ? social.label : url.hostname.replace(/^www\./, '') };
+}
+
+// `authors: maria` and `authors: [maria]` both name one author
+const authorIds = data => [].concat(data.authors ?? []);
+
+// Usually a typo such as "catgory", which would otherwise vanish silently
+function unknownFields(data, known) {
+  return Object.keys(data)
+    .filter(key => !known.includes(key))
+    .map(key => `unknown field "${key}"`);
+}
+
+// Problems with one article's front matter, as readable sentences. `registered`
+// holds every file in authors/, including ones that failed to build.
+function validate(data, registered) {
+  const problems = [];
+
+  REQUIRED_FIELDS.filter(field => field !== 'authors').forEach(field => {
+    if (typeof data[field] !== 'string' || !data[field].trim()) {
+      problems.push(`missing required field "${field}"`);
+    }
+  });
+
+  const ids = authorIds(data);
+  if (ids.length === 0) {
+    problems.push('missing required field "authors"');
+  } else {
+    ids
+      .filter(id => typeof id !== 'string' || !registered.has(id))
+      .forEach(id => problems.push(`author "${id}" is not in authors/ (expected authors/${id}.md)`));
+  }
+
+  if (typeof data.date === 'string' && !/^\d{4}-\d{2}(-\d{2})?$/.test(data.date)) {
+    problems.push(`date "${data.date}" should look like 2025-11-16 (or 2025-11)`);
+  }
+  if ('tags' in data && !(Array.isArray(data.tags) && data.tags.every(tag => typeof tag === 'string' && tag))) {
+    problems.push('tags should be a list, e.g. tags: [identity, home]');
+  }
+  if ('featured' in data && typeof data.featured !== 'boolean') {
+    problems.push('featured should be true or false');
+  }
+  if ('locations' in data) {
+    if (!Array.isArray(data.locations)) {
+      problems.push('locations should be a list, e.g. locations: ["Seoul, South Korea"]');
+    } else {
+      data.locations
+        .filter(location => !parseLocation(location))
+        .forEach(location => problems.push(`location "${location}" should end with a country we know`));
+    }
+  }
+  ['image', 'pdf'].forEach(field => {
+    if (field in data && typeof data[field] !== 'string') problems.push(`${field} should be a single URL or path`);
+  });
+
+  problems.push(...unknownFields(data, [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]));
+  return problems;
+}
+
+function readTime(html) {
+  const words = html.replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length;
+  return `${Math.max(1, Math.round(words / WORDS_PER_MINUTE))} min read`;
+}
+
+function authorInitial(name) {
+  const letter = name.match(/\p{L}/u);
+  return letter ? letter[0].toLocaleUpperCase() : '?';
+}
+
+// "A", "A & B", "A, B & C"
+function byline(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names.join('');
+}
+
+// One authors/*.md source -> the authorsData entry, or the list of problems
+function compileAuthor(source) {
+  const { data, body } = parseFrontMatter(source);
+  const problems = [];
+
+  if (typeof data.name !== 'string' || !data.name.trim()) problems.push('missing required field "name"');
+  if ('region' in data && !resolveHomeRegion(data.region)) {
+    problems.push(`region "${data.region}" is not a region of Kazakhstan we know`);
+  }
+  if ('country' in data && !resolveCountry(data.country)) {
+    problems.push(`country "${data.country}" is not a country we know`);
+  }
+  if ('photo' in data && typeof data.photo !== 'string') problems.push('photo should be a single URL or path');
+  if ('links' in data) {
+    if (!Array.isArray(data.links)) {
+      problems.push('links should be a list, e.g. links: ["https://instagram.com/name"]');
+    } else {
+      data.links
+        .filter(link => !parseLink(link))
+        .forEach(link => problems.push(`link "${link}" should be a full http(s) or mailto URL`));
+    }
+  }
+  problems.push(...unknownFields(data, [...AUTHOR_REQUIRED_FIELDS, ...AUTHOR_OPTIONAL_FIELDS]));
+  if (problems.length > 0) return { problems };
+
+  const author = {
+    name: data.name.trim(),
+    initial: authorInitial(data.name),
+    photo: data.photo || '',
+    links: (data.links || []).map(parseLink)
+  };
+  if (data.region) author.region = resolveHomeRegion(data.region).name;
+  if (data.country) author.country = resolveCountry(data.country);
+  author.bio = markdownToHTML(body);
+
+  return { author };
+}
+
+// One Markdown source -> the articlesData entry, or the list of problems
+function compileArticle(source, authors, registered) {
+  const { data, body } = parseFrontMatter(source);
+  const problems = validate(data, registered);
+  if (!body.trim()) problems.push('the article has no text');
+  if (problems.length > 0) return { problems };
+
+  const content = markdownToHTML(body);
+  const article = {
+    category: data.category.trim(),
+    title: data.title.trim(),
+    subtitle: data.subtitle.trim(),
+    authors: authorIds(data),
+    // A broken authors/ file has no entry; the build fails on it anyway
+    author: byline(authorIds(data).map(id => authors.get(id)?.name)),
+    date: data.date,
+    readTime: readTime(content),
+    image: data.image || '',
+    tags: data.tags || []
+  };
+  if (data.featured) article.featured = true;
+  if (data.pdf) article.pdf = data.pdf;
+  if (data.locations && data.locations.length > 0) article.locations = data.locations.map(parseLocation);
+  article.content = content;
+
+  return { article };
+}
+
+function renderModule(articles, authors) {
+  return `// ===================================
+// ARTICLE DATA (GENERATED)
+// ===================================
+// Built from articles/*.md and authors/*.md by scripts/build-articles.mjs.
+// Edit the Markdown and rebuild; changes made here are overwritten. The
+// homepage, articles.html, article.html and author.html all read from this
+// file (see article-listings.js and author-profiles.js).
+//
+// authors: IDs in authorsData, in byline order; author is the byline itself
+// date: ISO publish date, 'YYYY-MM-DD' or 'YYYY-MM' when only the month is known
+// featured: also listed in the ARTICLES section of the homepage
+// pdf: the full paper, offered as a download on the article page
+// locations: places the article is about, linked to the diaspora map
+const articlesData = ${JSON.stringify(articles, null, 2)};
+
+// Function to get article by ID
+export function getArticle(id) {
+  return Object.hasOwn(articlesData, id) ? articlesData[id] : null;
+}
+
+// Function to get all article IDs
+export function getAllArticleIds() {
+  return Object.keys(articlesData);
+}
+
+// region: home region in Kazakhstan, country: where they live now (both optional)
+// bio: HTML compiled from the Markdown body of authors/<id>.md
+const authorsData = ${JSON.stringify(Object.fromEntries(authors), null, 2)};
+
+export function getAuthor(id) {
+  return Object.hasOwn(authorsData, id) ? authorsData[id] : null;
+}
+
+export function getAllAuthorIds() {
+  return Object.keys(authorsData);
+}
+`;
+}
+
+// Compile every .md file in `dir`; results land in `compiled` by file ID and
+// problems in `failures`, prefixed with the file they came from. Returns the
+// IDs of all the files.
+async function compileDirectory(dir, compile, compiled, failures) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.md')).sort();
+
+  for (const file of files) {
+    let result;
+    try {
+      result = compile(await readFile(join(dir, file), 'utf8'));
+    } catch (error) {
+      result = { problems: [error.message] };
+    }
+
+    if (result.problems) {
+      result.problems.forEach(problem => failures.push(`${join(dir, file)}: ${problem}`));
+    } else {
+      compiled.set(basename(file, '.md'), result.article || result.author);
+    }
+  }
+
+  return new Set(files.map(file => basename(file, '.md')));
+}
+
+try {
+  const authors = new Map();
+  const articles = new Map();
+  const failures = [];
+
+  // Authors first: articles are checked against the registry
+  const registered = await compileDirectory(authorsDir, compileAuthor, authors, failures);
+  await compileDirectory(sourceDir, source => compileArticle(source, authors, registered), articles, failures);
+
+  if (failures.length > 0) {
+    console.error(`Could not build ${output}; fix these and run again:`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+  }
+
+  await writeFile(output, renderModule(Object.fromEntries(articles), authors));
+  console.log(`Wrote ${articles.size} articles and ${authors.size} authors to ${output}`);
+} catch (error) {
+  console.error(`Could not build ${output}:`, error.message);
+  process.exit(1);
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// ===================================
+// BUILD data/cities.json FROM GEONAMES
+// ===================================
+// Trims the GeoNames "cities1000" dump down to the gazetteer used to place
+// survey rows that have a city but no coordinates (see geocode.js). Only
+// populated places above a population threshold are kept, with their
+// Cyrillic names so answers like "Мюнхен" resolve too.
+//
+// Usage (Node 20+):
+//   curl -LO https://download.geonames.org/export/dump/cities1000.zip && unzip cities1000.zip
+//   node scripts/build-gazetteer.mjs cities1000.txt [data/cities.json] [--min-population=15000]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolveCountry } from '../countries.js';
+
+const args = process.argv.slice(2);
+const options = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => arg.slice(2).split('=')));
+const [input, output = 'data/cities.json'] = args.filter(arg => !arg.startsWith('--'));
+const minPopulation = Number(options['min-population'] || 15000);
+
+if (!input) {
+  console.error('Usage: node scripts/build-gazetteer.mjs <cities1000.txt> [output.json] [--min-population=15000]');
+  process.exit(1);
+}
+
+// Column positions in the GeoNames geoname table
+const COLUMNS = { name: 1, asciiName: 2, alternateNames: 3, lat: 4, lon: 5, featureClass: 6, country: 8, population: 14 };
+const CYRILLIC = /[\u0400-\u04ff]/;
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// ISO code -> the display name countries.js uses, falling back to the English name
+function countryName(code) {
+  let english = code;
+  try {
+    english = regionNames.of(code) || code;
+  } catch (error) {
+    // Codes ICU doesn't know, such as XK
+  }
+  return resolveCountry(english) || english;
+}
+
+try {
+  const lines = (await readFile(input, 'utf8')).split('\n');
+  const countries = {};
+  const cities = [];
+
+  lines.forEach(line => {
+    const columns = line.split('\t');
+    if (columns.length <= COLUMNS.population || columns[COLUMNS.featureClass] !== 'P') return;
+
+    const population = Number(columns[COLUMNS.population]) || 0;
+    if (population < minPopulation) return;
+
+    const code = columns[COLUMNS.country];
+    if (!countries[code]) countries[code] = countryName(code);
+
+    const name = columns[COLUMNS.name];
+    const aliases = new Set(columns[COLUMNS.alternateNames].split(',').filter(alias => CYRILLIC.test(alias)));
+    if (columns[COLUMNS.asciiName] !== name) aliases.add(columns[COLUMNS.asciiName]);
+
+    const city = [
+      name,
+      code,
+      Math.round(Number(columns[COLUMNS.lat]) * 1000) / 1000,
+      Math.round(Number(columns[COLUMNS.lon]) * 1000) / 1000,
+      population
+    ];
+    if (aliases.size > 0) city.push([...aliases].sort());
+
+    cities.push(city);
+  });
+
+  // Larger cities first, so ambiguous names prefer them
+  cities.sort((a, b) => b[4] - a[4]);
+
+  const document = {
+    source: 'GeoNames cities1000 (CC BY 4.0), https://www.geonames.org/',
+    minPopulation,
+    fields: ['name', 'country', 'lat', 'lon', 'population', 'aliases'],
+    countries,
+    cities
+  };
+
+  await writeFile(output, JSON.stringify(document) + '\n');
+  console.log(`Wrote ${cities.length} cities in ${Object.keys(countries).length} countries to ${output}`);
+} catch (error) {
+  console.error(`Could not build ${output}:`, error.message);
+  process.exit(1);
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// ===================================
+// BUILD data/students.json FROM THE SURVEY EXPORT
+// ===================================
+// Reads a CSV export of the survey sheet and writes only consented rows and
+// public fields to data/students.json, which is what the site loads. Rows
+// with partial consent are reduced before writing (see consent.js). The raw
+// export contains non-consenting respondents, so never commit it.
+// Rows without coordinates are placed from their city using data/cities.json,
+// then every position is coarsened to its privacy level (see location-privacy.js).
+// Story IDs are an HMAC of each respondent's answers under STORY_ID_SECRET, so
+// they stay the same from build to build (deep links keep working) but can't
+// be traced back to a name. Keep the secret private, and keep using the same one.
+//
+// The committed data/students.json is an empty placeholder; the live site's
+// copy is built by the Deploy workflow (.github/workflows/deploy.yml) on every
+// push to main and once a day. Run this locally only to preview real data,
+// and don't commit the result.
+//
+// Usage (Node 20+):
+//   curl -L "<published sheet CSV URL>" -o responses.csv
+//   STORY_ID_SECRET=... node scripts/build-students.mjs responses.csv [data/students.json] [--location-privacy=jitter]
+
+import { createHmac } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { buildStudentsDocument, parseStudentCSV } from '../student-records.js';
+import { identityText } from '../student-schema.js';
+import { createGazetteer, geocodeRecords, reportGeocoding } from '../geocode.js';
+import { indexCountryBoundaries } from '../countries.js';
+import { DEFAULT_LOCATION_PRIVACY, protectLocations } from '../location-privacy.js';
+
+const args = process.argv.slice(2);
+const options = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => arg.slice(2).split('=')));
+const [input, output = 'data/students.json'] = args.filter(arg => !arg.startsWith('--'));
+const siteLevel = options['location-privacy'] || DEFAULT_LOCATION_PRIVACY;
+const secret = process.env.STORY_ID_SECRET || '';
+
+if (!input) {
+  console.error('Usage: STORY_ID_SECRET=... node scripts/build-students.mjs <responses.csv> [output.json] [--location-privacy=exact|jitter|city|country]');
+  process.exit(1);
+}
+
+// Short secrets could be guessed, and with them every name behind an ID
+if (secret.length < 32) {
+  console.error('Set STORY_ID_SECRET to a private random string of at least 32 characters, e.g. `openssl rand -hex 32`');
+  process.exit(1);
+}
+
+const storyKey = record => createHmac('sha256', secret).update(identityText(record)).digest('hex').slice(0, 16);
+
+async function readJSON(path) {
+  return JSON.parse(await readFile(new URL(path, import.meta.url), 'utf8'));
+}
+
+try {
+  const csvText = await readFile(input, 'utf8');
+  const { records } = parseStudentCSV(csvText, { storyKey });
+
+  const gazetteer = createGazetteer(await readJSON('../data/cities.json'));
+  const geocoded = geocodeRecords(records, gazetteer);
+  reportGeocoding(geocoded);
+
+  const boundaries = indexCountryBoundaries(await readJSON('../data/countries-110m.json'));
+  const placed = protectLocations(geocoded.records, { gazetteer, boundaries }, siteLevel);
+
+  const document = buildStudentsDocument(placed);
+
+  await writeFile(output, JSON.stringify(document, null, 2) + '\n');
+  console.log(`Wrote ${document.records.length} stories to ${output}`);
+} catch (error) {
+  console.error(`Could not build ${output}:`, error.message);
+  process.exit(1);
+}
@@ -0,0 +1,195 @@
+// ===================================
+// FIXTURE CHECKS
+// ===================================
+// Runs the survey fixtures in fixtures/ through the same code the build and
+// the site use: the CSV reader, consent parsing, record building and the
+// whole scripts/build-students.mjs pipeline. The Deploy workflow runs this
+// before building the live data, so a change that would publish a declined
+// row, lose a 0 coordinate or leak a hidden field stops the deploy.
+//
+// Usage (Node 20+):
+//   node --test scripts/fixtures.test.mjs
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { parseCSVText } from '../csv.js';
+import { CONSENT_LEVELS, DECLINED, parseConsent } from '../consent.js';
+import { parseStudentCSV, PUBLIC_FIELDS } from '../student-records.js';
+import { SCHEMA_VERSION } from '../student-schema.js';
+import { safeSocialLinks } from '../sanitize.js';
+import { parseTimestamp, growthByMonth } from '../stats.js';
+
+const run = promisify(execFile);
+const root = fileURLToPath(new URL('..', import.meta.url));
+const OPAQUE_ID = /^[0-9a-f]{16}(-\d+)?$/;
+const ANONYMOUS_NAME = 'Anonymous student';
+
+// The record builders report what they did; the checks below say what matters
+['log', 'warn', 'group', 'groupEnd'].forEach(method => mock.method(console, method, () => {}));
+
+const fixture = name => readFile(join(root, 'fixtures', `${name}.csv`), 'utf8');
+const byName = (records, name) => records.find(record => record.fullName === name);
+
+test('csv.js reads quoted cells, doubled quotes, CRLF and a byte order mark', async () => {
+  const { fields, rows } = parseCSVText(await fixture('hostile-rows'));
+
+  assert.equal(fields.length, 15);
+  assert.equal(rows.length, 4);
+  assert.equal(rows[0]['1. Full name '], `<img src=x onerror="alert('name')">`);
+  assert.equal(rows[2]['1. Full name '], 'Aruzhan "<b>bold</b>"');
+
+  const crlf = parseCSVText('\uFEFFName,Note\r\n"Smith, J.","line one\r\nline two"\r\n\r\n');
+  assert.deepEqual(crlf.fields, ['Name', 'Note']);
+  assert.deepEqual(crlf.rows, [{ Name: 'Smith, J.', Note: 'line one\r\nline two' }]);
+});
+
+test('consent.js classifies every answer in consent-answers.csv', async () => {
+  const { rows } = parseCSVText(await fixture('consent-answers'));
+  const consentColumn = Object.keys(rows[0]).find(field => /consent/i.test(field));
+  const levels = Object.fromEntries(rows.map(row => [row['1. Full name '], parseConsent(row[consentColumn])]));
+
+  assert.deepEqual(levels, {
+    'Full Consent': CONSENT_LEVELS.FULL,
+    'Trilingual Yes': CONSENT_LEVELS.FULL,
+    'Russian Yes': CONSENT_LEVELS.FULL,
+    'Kazakh Yes': CONSENT_LEVELS.FULL,
+    'Hidden Name': CONSENT_LEVELS.ANONYMOUS,
+    'Only Anonymously': CONSENT_LEVELS.ANONYMOUS,
+    'City Only': CONSENT_LEVELS.CITY,
+    'Maybe Later': null,
+    'Single Letter': null,
+    'Declined': DECLINED,
+    'Blank Answer': null
+  });
+});
+
+test('student-records.js publishes only consented rows, reduced to their level', async () => {
+  const { records, diagnostics } = parseStudentCSV(await fixture('consent-answers'));
+
+  assert.deepEqual(diagnostics, {
+    total: 11,
+    published: 7,
+    byLevel: { full: 4, anonymous: 2, city: 1 },
+    declined: 1,
+    missingName: 0,
+    noConsentColumn: false,
+    unknown: { 'No, maybe later': 1, 'y': 1, '(blank)': 1 }
+  });
+
+  const names = records.map(record => record.fullName);
+  ['Maybe Later', 'Single Letter', 'Declined', 'Blank Answer', 'Hidden Name', 'Only Anonymously', 'City Only']
+    .forEach(name => assert.ok(!names.includes(name), `${name} must not be published`));
+
+  const anonymous = records.filter(record => record.consentLevel === CONSENT_LEVELS.ANONYMOUS);
+  assert.equal(anonymous.length, 2);
+  anonymous.forEach(record => {
+    assert.equal(record.fullName, ANONYMOUS_NAME);
+    assert.equal(record.photo, '');
+    assert.equal(record.socialMedia, '');
+  });
+
+  const [cityOnly] = records.filter(record => record.consentLevel === CONSENT_LEVELS.CITY);
+  assert.equal(cityOnly.fullName, ANONYMOUS_NAME);
+  assert.equal(cityOnly.city, 'Milan');
+  assert.equal(cityOnly.institution, '');
+  assert.equal(cityOnly.motivation, '');
+
+  records.forEach(record => assert.match(record.id, OPAQUE_ID));
+});
+
+test('student-records.js keeps real zeros and leaves blank coordinates null', async () => {
+  const { records, diagnostics } = parseStudentCSV(await fixture('missing-coordinates'));
+  const position = name => [byName(records, name).lat, byName(records, name).lon];
+
+  assert.equal(diagnostics.published, 9);
+  assert.deepEqual(position('Blank Coordinates'), [null, null]);
+  assert.deepEqual(position('Unknown City'), [null, null]);
+  assert.deepEqual(position('No City'), [null, null]);
+  assert.deepEqual(position('Zero Latitude'), [0, 9.45]);
+  assert.deepEqual(position('Zero Longitude'), [51.48, 0]);
+  assert.deepEqual(position('Comma Decimals'), [45.4642, 9.19]);
+});
+
+test('hostile rows survive parsing as text and lose every unsafe link', async () => {
+  const { records, diagnostics } = parseStudentCSV(await fixture('hostile-rows'));
+
+  assert.equal(diagnostics.published, 4);
+  assert.equal(records[0].institution, "<script>alert('institution')</script>");
+  assert.deepEqual(records.map(record => safeSocialLinks(record.socialMedia)), [
+    [],
+    [],
+    [{ href: 'https://www.instagram.com/roots.example', label: 'Instagram' }],
+    []
+  ]);
+});
+
+test('timeline.csv timestamps parse in every format and leave the empty month in', async () => {
+  const { records } = parseStudentCSV(await fixture('timeline'));
+  const times = records.map(record => parseTimestamp(record.timestamp));
+
+  assert.equal(times.filter(time => time === null).length, 1);
+  assert.equal(byName(records, 'No Timestamp').timestamp, '');
+  assert.equal(times[8], Date.UTC(2025, 11, 15, 10, 30));
+  assert.equal(times[9], Date.UTC(2026, 0, 9, 16));
+
+  assert.deepEqual(growthByMonth(records).map(({ month, added, total }) => [month, added, total]), [
+    ['2025-08', 2, 2],
+    ['2025-09', 2, 4],
+    ['2025-10', 3, 7],
+    ['2025-11', 0, 7],
+    ['2025-12', 2, 9],
+    ['2026-01', 2, 11]
+  ]);
+});
+
+test('build-students.mjs writes only public fields, stable IDs and null for unplaced rows', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'roots-and-roads-'));
+  const env = { ...process.env, STORY_ID_SECRET: 'fixture-secret-that-is-long-enough-to-use' };
+  const build = async output => {
+    await run(process.execPath, ['scripts/build-students.mjs', 'fixtures/missing-coordinates.csv', output], { cwd: root, env });
+    return JSON.parse(await readFile(output, 'utf8'));
+  };
+
+  try {
+    const first = await build(join(dir, 'first.json'));
+    const second = await build(join(dir, 'second.json'));
+
+    assert.equal(first.schemaVersion, SCHEMA_VERSION);
+    assert.equal(first.records.length, 9);
+    assert.deepEqual(first.records.map(record => record.id), second.records.map(record => record.id));
+
+    first.records.forEach(record => {
+      assert.match(record.id, OPAQUE_ID);
+      assert.deepEqual(Object.keys(record).filter(key => !PUBLIC_FIELDS.includes(key)), []);
+    });
+
+    ['Unknown City', 'No City'].forEach(name => {
+      const record = byName(first.records, name);
+      assert.equal(record.lat, null);
+      assert.equal(record.lon, null);
+      assert.equal(record.locationSource, '');
+    });
+
+    // Placed from the Cyrillic city name, then moved off the exact point
+    const munich = byName(first.records, 'Blank Coordinates');
+    assert.equal(munich.locationSource, 'gazetteer');
+    assert.equal(munich.locationPrecision, 'jitter');
+
+    const cityConsent = byName(first.records, ANONYMOUS_NAME);
+    assert.equal(cityConsent.locationPrecision, 'city');
+
+    await assert.rejects(
+      run(process.execPath, ['scripts/build-students.mjs', 'fixtures/missing-coordinates.csv', join(dir, 'unsalted.json')],
+        { cwd: root, env: { ...process.env, STORY_ID_SECRET: '' } }),
+      error => error.code === 1
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,192 @@
+// ===================================
+// STORY STATISTICS
+// ===================================
+// Aggregates over student records for the dashboard and the map. Everything
+// here takes a plain array of records, so it works the same on the full
+// dataset or on the stories left after filtering.
+
+import { recordCountry } from './countries.js';
+import { splitAnswers, returnIntent } from './story-filters.js';
+
+// Count distinct values (case-insensitively), most common first
+export function rankCounts(values) {
+  const counts = new Map();
+
+  values.forEach(raw => {
+    const value = String(raw || '').replace(/\s+/g, ' ').trim();
+    if (!value) return;
+
+    const key = value.toLowerCase();
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+const STUDY_PATTERN = /stud|educat|учусь|учеба|учёба|оқ/i;
+const WORK_PATTERN = /work|job|employ|работ|жұмыс/i;
+const BOTH_PATTERN = /both|оба|и то и другое|екеуі/i;
+
+// "Study", "Работаю", "Both" -> 'study' | 'work' | 'both' | '' when unclear
+export function occupation(record) {
+  const answer = String(record.studyOrWork || '');
+  const studying = STUDY_PATTERN.test(answer);
+  const working = WORK_PATTERN.test(answer);
+
+  if (BOTH_PATTERN.test(answer) || (studying && working)) return 'both';
+  if (studying) return 'study';
+  if (working) return 'work';
+  return '';
+}
+
+// Per-country totals keyed by display name. Students who both study and work
+// count towards both figures.
+export function aggregateByCountry(records) {
+  const countries = new Map();
+
+  records.forEach(record => {
+    const country = recordCountry(record);
+    if (!country) return;
+
+    if (!countries.has(country)) {
+      countries.set(country, { country, count: 0, studying: 0, working: 0, records: [] });
+    }
+
+    const entry = countries.get(country);
+    const status = occupation(record);
+    entry.count++;
+    if (status === 'study' || status === 'both') entry.studying++;
+    if (status === 'work' || status === 'both') entry.working++;
+    entry.records.push(record);
+  });
+
+  countries.forEach(entry => {
+    entry.institutions = rankCounts(entry.records.map(record => record.institution));
+  });
+
+  return countries;
+}
+
+// Sheet timestamps: Google Sheets writes "11/20/2025 09:00:00" (M/D/YYYY),
+// exports from Russian-locale sheets "20.11.2025 9:00:00", tools ISO 8601.
+// Read as UTC so months don't shift with the visitor's time zone.
+const TIMESTAMP_FORMATS = [
+  { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})/, order: ['month', 'day', 'year'] },
+  { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})/, order: ['day', 'month', 'year'] },
+  { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})/, order: ['year', 'month', 'day'] }
+];
+
+// Submission time in epoch milliseconds, or null when blank or unreadable
+export function parseTimestamp(value) {
+  const text = String(value || '').trim();
+
+  for (const { pattern, order } of TIMESTAMP_FORMATS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const parts = {};
+    order.forEach((name, i) => { parts[name] = Number(match[i + 1]); });
+
+    const clock = text.slice(match[0].length).match(/^[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/) || [];
+    const [hours, minutes, seconds] = [1, 2, 3].map(i => Number(clock[i] || 0));
+    const time = Date.UTC(parts.year, parts.month - 1, parts.day, hours, minutes, seconds);
+
+    // Date.UTC rolls 31/02 over into March; treat that as unreadable
+    const date = new Date(time);
+    if (date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) return null;
+    return time;
+  }
+
+  return null;
+}
+
+const monthKey = time => new Date(time).toISOString().slice(0, 7);
+
+// New stories per calendar month, oldest first, with the running total.
+// Quiet months are included so a chart of growth keeps an even spacing.
+export function growthByMonth(records) {
+  const counts = new Map();
+  let first = Infinity;
+  let last = -Infinity;
+
+  records.forEach(record => {
+    const time = parseTimestamp(record.timestamp);
+    if (time === null) return;
+
+    const key = monthKey(time);
+    counts.set(key, (counts.get(key) || 0) + 1);
+    first = Math.min(first, time);
+    last = Math.max(last, time);
+  });
+
+  const months = [];
+  let total = 0;
+  const firstDate = new Date(first);
+
+  for (let start = Date.UTC(firstDate.getUTCFullYear(), firstDate.getUTCMonth(), 1); start <= last;) {
+    const month = monthKey(start);
+    const added = counts.get(month) || 0;
+    total += added;
+    months.push({ month, start, added, total });
+
+    const date = new Date(start);
+    start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+
+  return months;
+}
+
+// "8", "8/10", "4 out of 5", "9 из 10" -> a score out of 10, or null
+export function parseSatisfaction(answer) {
+  const text = String(answer || '').replace(',', '.');
+  const match = text.match(/(\d+(?:\.\d+)?)(?:\s*(?:\/|out of|из)\s*(\d+))?/i);
+  if (!match) return null;
+
+  const score = Number(match[1]);
+  const scale = match[2] ? Number(match[2]) : 10;
+  if (!scale || score > scale) return null;
+
+  return (score / scale) * 10;
+}
+
+const OCCUPATION_LABELS = { study: 'Studying', work: 'Working', both: 'Studying and working' };
+
+// Everything the dashboard shows, for the full dataset or the filtered stories.
+// Ranked lists are { value, count } entries, most common first.
+export function summarizeStories(records) {
+  const occupations = { study: 0, work: 0, both: 0 };
+  const scores = [];
+  let latest = null;
+
+  records.forEach(record => {
+    const status = occupation(record);
+    if (status) occupations[status]++;
+
+    const score = parseSatisfaction(record.satisfaction);
+    if (score !== null) scores.push(score);
+
+    // On equal timestamps the later sheet row is the newer story
+    const time = parseTimestamp(record.timestamp);
+    if (time !== null && (!latest || time >= latest.time)) {
+      latest = { record, time };
+    }
+  });
+
+  return {
+    total: records.length,
+    latest,
+    countries: rankCounts(records.map(recordCountry)),
+    institutions: rankCounts(records.map(record => record.institution)),
+    occupations: Object.entries(occupations)
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => ({ value: OCCUPATION_LABELS[status], count })),
+    funding: rankCounts(records.flatMap(record => splitAnswers(record.finance))),
+    satisfaction: {
+      average: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      responses: scores.length
+    },
+    returnIntentions: rankCounts(records.map(record => returnIntent(record.returnPlan)))
+  };
+}
@@ -0,0 +1,119 @@
+// ===================================
+// STORY FILTERS
+// ===================================
+// Facets and free-text search over student records, plus reading and writing
+// the filter state to the URL query so a filtered map can be shared.
+
+import { recordCountry } from './countries.js';
+import { readQueryState, writeQueryState } from './url-state.js';
+
+// Checkbox answers arrive as one comma-separated string
+export function splitAnswers(value) {
+  return String(value || '')
+    .split(/\s*[,;]\s*/)
+    .map(answer => answer.trim())
+    .filter(Boolean);
+}
+
+const RETURN_YES = ['yes', 'definitely', 'absolutely', 'sure', 'да', 'конечно', 'иә'];
+const RETURN_NO = ['no', 'not', 'never', 'нет', 'жоқ'];
+const RETURN_UNDECIDED = /maybe|not sure|undecided|possibly|perhaps|depends|возможно|не знаю|мүмкін|білмеймін/;
+
+// Bucket the free-text return answer into a few comparable intentions.
+// The opening word decides ("No, maybe later" is a no); hedges come next.
+export function returnIntent(answer) {
+  const text = String(answer || '').trim().toLowerCase();
+  if (!text) return '';
+
+  const firstWord = text.split(/[^\p{L}]+/u)[0];
+  if (RETURN_YES.includes(firstWord) || text.startsWith('of course')) return 'Planning to return';
+  if (RETURN_NO.includes(firstWord) && !text.startsWith('not sure')) return 'Not planning to return';
+  if (RETURN_UNDECIDED.test(text)) return 'Undecided';
+
+  return 'Other';
+}
+
+// Tidy casing/whitespace so "computer science " and "Computer Science" match
+function normalizeOption(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Each facet knows its URL key and how to read its values from a record
+export const FILTER_FACETS = [
+  { key: 'country', label: 'Host country', values: record => [recordCountry(record)] },
+  { key: 'region', label: 'Home region', values: record => [normalizeOption(record.region)] },
+  { key: 'status', label: 'Studying or working', values: record => [normalizeOption(record.studyOrWork)] },
+  { key: 'field', label: 'Field', values: record => [normalizeOption(record.specialization)] },
+  { key: 'funding', label: 'Funding', values: record => splitAnswers(record.finance) },
+  { key: 'return', label: 'Return plans', values: record => [returnIntent(record.returnPlan)] }
+];
+
+const SEARCH_FIELDS = [
+  'fullName', 'institution', 'city', 'country', 'degree', 'specialization',
+  'motivation', 'proud', 'activities', 'unique', 'challenges', 'overcome',
+  'advice', 'culture', 'changed'
+];
+
+function facetValues(facet, record) {
+  return facet.values(record).filter(Boolean).map(value => value.toLowerCase());
+}
+
+// Distinct options for a facet with counts, most common first
+export function facetOptions(records, facet) {
+  const counts = new Map();
+
+  records.forEach(record => {
+    facet.values(record).filter(Boolean).forEach(value => {
+      const key = value.toLowerCase();
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Lowercased text blob for search, cached on first use
+const searchIndex = new WeakMap();
+function searchableText(record) {
+  if (!searchIndex.has(record)) {
+    searchIndex.set(record, SEARCH_FIELDS.map(field => record[field] || '').join(' \n ').toLowerCase());
+  }
+  return searchIndex.get(record);
+}
+
+export function emptyFilterState() {
+  const state = { q: '' };
+  FILTER_FACETS.forEach(facet => { state[facet.key] = ''; });
+  return state;
+}
+
+export function isFiltered(state) {
+  return Object.values(state).some(Boolean);
+}
+
+// Does a record pass every active facet and contain every search word?
+export function matchesFilters(record, state) {
+  const facetsMatch = FILTER_FACETS.every(facet => {
+    const wanted = state[facet.key];
+    return !wanted || facetValues(facet, record).includes(wanted.toLowerCase());
+  });
+  if (!facetsMatch) return false;
+
+  const words = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = searchableText(record);
+  return words.every(word => text.includes(word));
+}
+
+export function filterRecords(records, state) {
+  return isFiltered(state) ? records.filter(record => matchesFilters(record, state)) : records;
+}
+
+export function readFiltersFromURL(search = window.location.search) {
+  return readQueryState(emptyFilterState(), search);
+}
+
+export function writeFiltersToURL(state) {
+  writeQueryState(state);
+}
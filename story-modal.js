@@ -0,0 +1,226 @@
+// ===================================
+// FULL STORY MODAL
+// ===================================
+// Accessible dialog for one student's full survey story. Each open story is
+// reflected in the URL as #story/<key> so it can be shared and reopened.
+
+import { safeSocialLinks } from './sanitize.js';
+
+const HASH_PREFIX = '#story/';
+
+// Long-form answers, in the order they read best
+const STORY_SECTIONS = [
+  { field: 'motivation', title: '💭 What motivated me' },
+  { field: 'unique', title: '✨ What makes my journey unique' },
+  { field: 'proud', title: '🏆 Achievements' },
+  { field: 'activities', title: '🤝 Clubs, awards & projects' },
+  { field: 'challenges', title: '🧗 Challenges abroad' },
+  { field: 'overcome', title: '💪 How I overcame them' },
+  { field: 'changed', title: '🌱 How living abroad changed me' },
+  { field: 'culture', title: '🇰🇿 What I wish the world knew about Kazakhstan' },
+  { field: 'advice', title: '💡 Advice for future students' },
+  { field: 'finance', title: '💳 How I financed my studies' },
+  { field: 'satisfaction', title: '⭐ Satisfaction with life abroad' },
+  { field: 'returnPlan', title: '🏠 Plans to return' },
+  { field: 'preferredRegion', title: '🧭 Where I would like to live next' }
+];
+
+let modal = null;
+let dialog = null;
+let lastFocused = null;
+let options = {
+  getKey: student => student.id,
+  findByKey: () => null
+};
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+// Google Forms uploads are Drive "open?id=" links, which don't render in <img>
+function photoUrl(photo) {
+  const driveId = photo.match(/drive\.google\.com\/(?:open\?id=|file\/d\/)([\w-]+)/);
+  if (driveId) {
+    return `https://drive.google.com/thumbnail?id=${driveId[1]}&sz=w600`;
+  }
+  return /^https?:\/\//i.test(photo) ? photo : '';
+}
+
+function getFocusable() {
+  return Array.from(dialog.querySelectorAll(
+    'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+  )).filter(element => element.offsetParent !== null);
+}
+
+function renderStory(student) {
+  const header = dialog.querySelector('.story-modal-header');
+  const body = dialog.querySelector('.story-modal-body');
+  header.replaceChildren();
+  body.replaceChildren();
+
+  const src = student.photo ? photoUrl(student.photo) : '';
+  if (src) {
+    const img = createElement('img', 'story-modal-photo');
+    img.src = src;
+    img.alt = `Photo of ${student.fullName}`;
+    img.loading = 'lazy';
+    img.addEventListener('error', () => img.remove());
+    header.appendChild(img);
+  }
+
+  const intro = createElement('div', 'story-modal-intro');
+  const title = createElement('h2', 'story-modal-title', student.fullName);
+  title.id = 'story-modal-title';
+  intro.appendChild(title);
+
+  const location = [student.city, student.country].filter(Boolean).join(', ');
+  if (location) intro.appendChild(createElement('p', 'story-modal-meta', `📍 ${location}`));
+  if (student.region) {
+    intro.appendChild(createElement('p', 'story-modal-meta', `🏠 From ${student.region}, Kazakhstan`));
+  }
+
+  const academic = [student.studyOrWork, student.institution, student.degree, student.specialization, student.yearOrStage]
+    .filter(Boolean)
+    .join(' · ');
+  if (academic) intro.appendChild(createElement('p', 'story-modal-meta', `🎓 ${academic}`));
+
+  const links = safeSocialLinks(student.socialMedia);
+  if (links.length > 0) {
+    const linkRow = createElement('p', 'story-modal-links');
+    links.forEach(({ href, label }) => {
+      const link = createElement('a', null, label);
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      linkRow.appendChild(link);
+    });
+    intro.appendChild(linkRow);
+  }
+
+  header.appendChild(intro);
+
+  const sections = STORY_SECTIONS.filter(section => student[section.field]);
+  if (sections.length === 0) {
+    body.appendChild(createElement('p', 'story-modal-empty', 'Story coming soon...'));
+  }
+
+  sections.forEach(section => {
+    const block = createElement('section', 'story-modal-section');
+    block.appendChild(createElement('h3', null, section.title));
+    block.appendChild(createElement('p', null, student[section.field]));
+    body.appendChild(block);
+  });
+
+  body.scrollTop = 0;
+}
+
+function handleKeydown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeStory();
+    return;
+  }
+
+  // Keep focus inside the dialog while it is open
+  if (e.key === 'Tab') {
+    const focusable = getFocusable();
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+function isOpen() {
+  return modal && modal.classList.contains('active');
+}
+
+export function openStory(student) {
+  if (!modal || !student) return;
+
+  if (!isOpen()) {
+    lastFocused = document.activeElement;
+  }
+
+  renderStory(student);
+  modal.classList.add('active');
+  modal.setAttribute('aria-hidden', 'false');
+  document.body.classList.add('story-open');
+  document.addEventListener('keydown', handleKeydown);
+
+  const hash = HASH_PREFIX + encodeURIComponent(options.getKey(student));
+  if (window.location.hash !== hash) {
+    history.replaceState(null, '', hash);
+  }
+
+  dialog.querySelector('.story-modal-close').focus();
+}
+
+export function closeStory() {
+  if (!isOpen()) return;
+
+  modal.classList.remove('active');
+  modal.setAttribute('aria-hidden', 'true');
+  document.body.classList.remove('story-open');
+  document.removeEventListener('keydown', handleKeydown);
+
+  if (window.location.hash.startsWith(HASH_PREFIX)) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+
+  if (lastFocused && typeof lastFocused.focus === 'function') {
+    lastFocused.focus();
+  }
+  lastFocused = null;
+}
+
+// Open whichever story the current URL hash points at, if any
+export function openStoryFromHash() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(HASH_PREFIX)) {
+    closeStory();
+    return false;
+  }
+
+  // A malformed escape such as "#story/%" can't name a story
+  let key;
+  try {
+    key = decodeURIComponent(hash.slice(HASH_PREFIX.length));
+  } catch (error) {
+    return false;
+  }
+
+  const student = options.findByKey(key);
+  if (!student) return false;
+
+  openStory(student);
+  return true;
+}
+
+export function initStoryModal(storyOptions) {
+  modal = document.getElementById('story-modal');
+  if (!modal) return;
+
+  dialog = modal.querySelector('.story-modal-dialog');
+  options = { ...options, ...storyOptions };
+
+  modal.querySelector('.story-modal-close').addEventListener('click', closeStory);
+
+  // Click on the backdrop (outside the dialog) closes the story
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeStory();
+  });
+
+  window.addEventListener('hashchange', openStoryFromHash);
+}
@@ -0,0 +1,156 @@
+// ===================================
+// STUDENT RECORDS FROM SURVEY CSV
+// ===================================
+// Turns the raw survey export into publishable student records. Shared by
+// the build script (scripts/build-students.mjs) and local development, so
+// consent and field rules are defined in exactly one place.
+
+import { parseCSVText } from './csv.js';
+import { SCHEMA_VERSION, mapColumns, mapRow, reportMapping, assignStoryIds } from './student-schema.js';
+import { DECLINED, parseConsent, isPublishable, applyConsentLevel } from './consent.js';
+
+// The only fields that may leave the build. This is an allowlist on purpose:
+// a field added to the schema stays out of students.json until it's added here.
+export const PUBLIC_FIELDS = [
+  'id',
+  'consentLevel',
+  'locationSource',
+  'locationPrecision',
+
+  // Basic info
+  'fullName',
+  'age',
+  'region',
+  'country',
+  'city',
+
+  // Academic/Professional info
+  'studyOrWork',
+  'institution',
+  'degree',
+  'specialization',
+  'yearOrStage',
+
+  // Story details
+  'motivation',
+  'proud',
+  'activities',
+  'unique',
+  'challenges',
+  'overcome',
+  'advice',
+  'culture',
+  'changed',
+  'finance',
+  'satisfaction',
+  'returnPlan',
+  'preferredRegion',
+  'photo',
+  'socialMedia',
+
+  // Location
+  'lat',
+  'lon',
+
+  'timestamp'
+];
+
+// Log why rows were left out, so unexpected consent answers get noticed
+export function reportConsent(diagnostics) {
+  const { total, published, byLevel, declined, missingName, noConsentColumn, unknown } = diagnostics;
+
+  console.log(`Published ${published} of ${total} rows`, byLevel);
+
+  if (noConsentColumn) {
+    console.warn('No consent column found: every row was excluded');
+  }
+  if (declined > 0) {
+    console.log(`${declined} rows declined consent`);
+  }
+  if (missingName > 0) {
+    console.warn(`${missingName} consenting rows had no name`);
+  }
+  if (Object.keys(unknown).length > 0) {
+    console.warn('Rows excluded for unrecognised consent answers:', unknown);
+  }
+}
+
+// A story ID is published even when the name behind it isn't, so it must be
+// an opaque token (see assignStoryIds): hex only, nothing taken from the answers
+const OPAQUE_ID = /^[0-9a-f]{16}(-\d+)?$/;
+
+function assertOpaqueId(record) {
+  if (!OPAQUE_ID.test(record.id)) {
+    throw new Error(`Story ID "${record.id}" is not an opaque token; refusing to publish it`);
+  }
+}
+
+// Parse survey CSV into consented records with story IDs (see assignStoryIds
+// for `storyKey`). Each record is reduced to what its consent level allows;
+// diagnostics count every row left out.
+export function parseStudentCSV(csvText, { storyKey } = {}) {
+  const { fields, rows } = parseCSVText(csvText);
+
+  // Match sheet headers to record fields and surface anything that didn't line up
+  const mapping = mapColumns(fields);
+  reportMapping(mapping);
+
+  const records = assignStoryIds(rows.map(row => mapRow(row, mapping)), storyKey);
+  const noConsentColumn = mapping.columns.consent.length === 0;
+
+  const diagnostics = {
+    total: records.length,
+    published: 0,
+    byLevel: {},
+    declined: 0,
+    missingName: 0,
+    noConsentColumn,
+    unknown: {}
+  };
+
+  const published = [];
+  records.forEach(record => {
+    // Without a consent column nobody has consented
+    const level = noConsentColumn ? null : parseConsent(record.consent);
+
+    if (level === DECLINED) {
+      diagnostics.declined++;
+    } else if (!isPublishable(level)) {
+      if (!noConsentColumn) {
+        const answer = record.consent || '(blank)';
+        diagnostics.unknown[answer] = (diagnostics.unknown[answer] || 0) + 1;
+      }
+    } else if (record.fullName.length === 0) {
+      // Must have a name, even if it won't be shown
+      diagnostics.missingName++;
+    } else {
+      diagnostics.byLevel[level] = (diagnostics.byLevel[level] || 0) + 1;
+      const limited = applyConsentLevel(record, level);
+      assertOpaqueId(limited);
+      published.push(limited);
+    }
+  });
+
+  diagnostics.published = published.length;
+  reportConsent(diagnostics);
+
+  return { records: published, diagnostics };
+}
+
+// Strip a record down to the whitelisted fields
+export function toPublicRecord(record) {
+  const publicRecord = {};
+  PUBLIC_FIELDS.forEach(field => {
+    publicRecord[field] = record[field];
+  });
+  return publicRecord;
+}
+
+// The students.json document served to the site
+export function buildStudentsDocument(records, generatedAt = new Date().toISOString()) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt,
+    records: records.map(toPublicRecord)
+  };
+}
@@ -0,0 +1,190 @@
+// ===================================
+// SURVEY COLUMN SCHEMA
+// ===================================
+// Maps every field of a student record to the Google Form question(s) it
+// comes from. Headers are matched after normalisation, so question numbers,
+// extra whitespace, line breaks and HTML entities in the sheet don't matter.
+// Only the fields listed in PUBLIC_FIELDS (student-records.js) are published.
+// Bump SCHEMA_VERSION whenever a field or pattern changes.
+
+import { parseCoordinate } from './geocode.js';
+
+export const SCHEMA_VERSION = 5;
+
+export const STUDENT_SCHEMA = {
+  // Basic info
+  fullName: { patterns: [/^full name$/] },
+  age: { patterns: [/^age$/] },
+  region: { patterns: [/^region in kazakhstan/] },
+  country: { patterns: [/^current (city and )?country of residence/] },
+  city: { patterns: [/^current city of residence/] },
+
+  // Academic/Professional info
+  studyOrWork: { patterns: [/studying or working abroad/] },
+  institution: { patterns: [/^university name/] },
+  degree: { patterns: [/^degree or position/] },
+  specialization: { patterns: [/^faculty/] },
+  yearOrStage: { patterns: [/^year of study/] },
+
+  // Story details
+  motivation: { patterns: [/what motivated you/] },
+  proud: { patterns: [/list your achievements/, /most proud of/] },
+  activities: { patterns: [/participated in any clubs/] },
+  unique: { patterns: [/journey unique/] },
+  challenges: { patterns: [/what challenges did you face/] },
+  overcome: { patterns: [/how did you overcome/] },
+  advice: { patterns: [/what advice would you give/] },
+  culture: { patterns: [/knew about kazakhstan/] },
+  changed: { patterns: [/changed you as a person/] },
+  finance: { patterns: [/how did you finance/] },
+  satisfaction: { patterns: [/rate your satisfaction/] },
+  returnPlan: { patterns: [/plan to return to kazakhstan/] },
+  preferredRegion: { patterns: [/preferred region to live/] },
+  photo: { patterns: [/upload a photo/] },
+  socialMedia: { patterns: [/social media links/] },
+  consent: { patterns: [/consent to having your information displayed/] },
+  locationPrivacy: { patterns: [/how (precisely|exactly) should .*location/, /location (privacy|precision)/] },
+
+  // Location; null when blank so a real 0 survives (see geocode.js)
+  lat: { patterns: [/^latitude$/], parse: parseCoordinate },
+  lon: { patterns: [/^longitude$/], parse: parseCoordinate },
+
+  timestamp: { patterns: [/^timestamp$/] }
+};
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+// Reduce a sheet header to a comparable form:
+// "16. Do you consent ... Roots &amp; Roads website? " -> "do you consent ... roots & roads website?"
+export function normalizeHeader(header) {
+  return String(header || '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\d+\s*[.)]\s*/, '')
+    .toLowerCase();
+}
+
+// Resolve sheet headers against the schema. Returns the header list for
+// each field plus everything that needs attention:
+//   missing   - schema fields with no matching column
+//   unmapped  - columns no field claims
+//   ambiguous - fields fed by several columns, or columns claimed by several fields
+export function mapColumns(headers, schema = STUDENT_SCHEMA) {
+  const columns = {};
+  const claimedBy = new Map();
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    columns[field] = (headers || []).filter(header => {
+      const normalized = normalizeHeader(header);
+      return normalized && spec.patterns.some(pattern => pattern.test(normalized));
+    });
+
+    columns[field].forEach(header => {
+      claimedBy.set(header, [...(claimedBy.get(header) || []), field]);
+    });
+  });
+
+  const ambiguous = [];
+  Object.entries(columns).forEach(([field, matched]) => {
+    if (matched.length > 1) ambiguous.push({ field, headers: matched });
+  });
+  claimedBy.forEach((fields, header) => {
+    if (fields.length > 1) ambiguous.push({ header, fields });
+  });
+
+  return {
+    version: SCHEMA_VERSION,
+    columns,
+    missing: Object.keys(columns).filter(field => columns[field].length === 0),
+    unmapped: (headers || []).filter(header => header && !claimedBy.has(header)),
+    ambiguous
+  };
+}
+
+// Build a record from one parsed CSV row. When a field is fed by several
+// columns (old and new versions of a question), the first non-empty answer wins.
+export function mapRow(row, mapping, schema = STUDENT_SCHEMA) {
+  const record = {};
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const value = mapping.columns[field]
+      .map(header => (row[header] || '').trim())
+      .find(answer => answer.length > 0) || '';
+
+    record[field] = spec.parse ? spec.parse(value) : value;
+  });
+
+  return record;
+}
+
+// Log mapping problems once per load so form edits don't silently drop fields
+export function reportMapping(mapping) {
+  const { version, missing, unmapped, ambiguous } = mapping;
+
+  if (missing.length === 0 && unmapped.length === 0 && ambiguous.length === 0) {
+    console.log(`Survey schema v${version}: all columns mapped`);
+    return;
+  }
+
+  console.groupCollapsed(`Survey schema v${version}: column mapping needs attention`);
+  if (missing.length > 0) {
+    console.warn('Fields with no matching column (will be empty):', missing);
+  }
+  if (unmapped.length > 0) {
+    console.warn('Columns not used by any field:', unmapped);
+  }
+  if (ambiguous.length > 0) {
+    console.warn('Ambiguous matches:', ambiguous);
+  }
+  console.groupEnd();
+}
+
+// FNV-1a: small, fast and identical in every browser, which is all an ID needs
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// 64 random bits as hex, for when no secret is available (dev fixtures)
+function randomStoryKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The answers that identify a respondent; only ever fed to a keyed hash
+export function identityText(record) {
+  return [record.timestamp, record.fullName, record.age, record.region].join('|');
+}
+
+// Give every record a story ID. Names can repeat and can contain quotes, so
+// nothing should look stories up by name. IDs are published even for
+// anonymous rows, so they must not be derivable from the answers: `storyKey`
+// maps a record to an opaque hex token, and the build passes a keyed hash of
+// identityText() under a secret that is never published. Without one, IDs
+// are random and change on every load.
+export function assignStoryIds(records, storyKey = randomStoryKey) {
+  const seen = new Map();
+
+  records.forEach(record => {
+    const base = storyKey(record);
+
+    // Identical submissions still need distinct IDs
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    record.id = count === 1 ? base : `${base}-${count}`;
+  });
+
+  return records;
+}
@@ -0,0 +1,47 @@
+// ===================================
+// TOPOJSON DECODING
+// ===================================
+// Just enough of TopoJSON to turn the bundled world map into GeoJSON features
+// for Leaflet: quantized, delta-encoded arcs and (Multi)Polygon geometries.
+
+function decodeArcs(topology) {
+  const transform = topology.transform;
+  if (!transform) return topology.arcs;
+
+  const [scaleX, scaleY] = transform.scale;
+  const [translateX, translateY] = transform.translate;
+
+  return topology.arcs.map(arc => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * scaleX + translateX, y * scaleY + translateY];
+    });
+  });
+}
+
+// Convert one named object of a topology into an array of GeoJSON features
+export function topoFeatures(topology, objectName) {
+  const arcs = decodeArcs(topology);
+
+  // A negative index (~i) means arc i traversed backwards
+  const arcPoints = index => (index < 0 ? arcs[~index].slice().reverse() : arcs[index]);
+
+  // Consecutive arcs share their joining point, so skip it after the first arc
+  const ring = indexes => indexes.flatMap((index, i) => arcPoints(index).slice(i > 0 ? 1 : 0));
+
+  const geometry = ({ type, arcs: indexes }) => {
+    if (type === 'Polygon') return { type, coordinates: indexes.map(ring) };
+    if (type === 'MultiPolygon') return { type, coordinates: indexes.map(polygon => polygon.map(ring)) };
+    return null;
+  };
+
+  return topology.objects[objectName].geometries.map(object => ({
+    type: 'Feature',
+    id: object.id,
+    properties: { ...object.properties },
+    geometry: geometry(object)
+  }));
+}
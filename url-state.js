@@ -0,0 +1,33 @@
+// ===================================
+// URL QUERY STATE
+// ===================================
+// Filter state kept in the URL query (?country=...&q=...) so a filtered page
+// can be shared. Used by the map (story-filters.js) and articles.html.
+
+// The keys of `emptyState` read from the query; absent ones come back as ''
+export function readQueryState(emptyState, search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const state = { ...emptyState };
+
+  Object.keys(state).forEach(key => {
+    state[key] = (params.get(key) || '').trim();
+  });
+
+  return state;
+}
+
+// Replace the state's keys in the query, keeping any other parameters and the hash
+export function writeQueryState(state) {
+  const params = new URLSearchParams(window.location.search);
+
+  Object.entries(state).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  });
+
+  const query = params.toString();
+  history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}